@@ -1,25 +1,54 @@
 import express from 'express';
-import { scrapeMedia } from './src/api.js';
+import { scrapeMedia, scrapeSeason, probeMedia } from './src/api.js';
 import {
     createProxyRoutes,
     processApiResponse,
     getServerUrl
 } from './src/proxy/proxyserver.js';
-import { getMovieFromTmdb, getTvFromTmdb } from './src/helpers/tmdb.js';
+import {
+    getMovieFromTmdb,
+    getTvFromTmdb,
+    getSeasonFromTmdb,
+    findTmdbIdByImdb,
+    searchTmdb
+} from './src/helpers/tmdb.js';
 import cors from 'cors';
 import { strings } from './src/strings.js';
 import {
     checkIfPossibleTmdbId,
-    handleErrorResponse
+    checkIfPossibleImdbId,
+    handleErrorResponse,
+    mapWithConcurrency
 } from './src/helpers/helper.js';
 import { ErrorObject } from './src/helpers/ErrorObject.js';
-import { getCacheStats } from './src/cache/cache.js';
+import { openEventStream, sendEvent } from './src/helpers/sse.js';
+import { getCacheStats, CACHE_CONFIG } from './src/cache/cache.js';
 import { startup } from './src/utils/startup.js';
 import { fileURLToPath } from 'url';
-import { throttleMiddleware } from './src/middleware/throttle.js';
+import {
+    throttleMiddleware,
+    setRequestWeight
+} from './src/middleware/throttle.js';
 import { metrics } from './src/utils/metrics.js';
+import {
+    getAllProviders,
+    describeProvider,
+    isRegisteredProvider
+} from './src/utils/providerRegistry.js';
+import { isProviderEnabled } from './src/utils/providerConfig.js';
+import { createAdminRoutes } from './src/admin/adminRoutes.js';
+import { isAdminRequest } from './src/middleware/adminAuth.js';
+import { SORT_MODES } from './src/utils/sourceRanking.js';
+import { startCacheWarmer } from './src/utils/cacheWarmer.js';
 
 const PORT = process.env.PORT;
+
+// POST /batch limits
+const BATCH_CONFIG = {
+    maxItems: Number(process.env.BATCH_MAX_ITEMS) || 25,
+    concurrency: Number(process.env.BATCH_CONCURRENCY) || 4, // Items scraped at the same time
+    itemWeight: Number(process.env.BATCH_ITEM_WEIGHT) || 0.25 // Throttle cost per item, a batch of 20 counts as 5 requests
+};
 const allowedOrigins = process.env.ALLOWED_ORIGINS; // localhost is also allowed. (from any localhost port)
 const app = express();
 
@@ -42,9 +71,195 @@ app.use(
 );
 
 // Apply throttling middleware to all routes
+setRequestWeight('POST', '/batch', (req) =>
+    Array.isArray(req.body?.items)
+        ? Math.min(req.body.items.length, BATCH_CONFIG.maxItems) *
+          BATCH_CONFIG.itemWeight
+        : 1
+);
 app.use(throttleMiddleware);
 
 createProxyRoutes(app);
+createAdminRoutes(app);
+
+/**
+ * Reads the ?sort= query parameter
+ * @returns {string|ErrorObject} The sort mode, or an ErrorObject if it is not supported
+ */
+function getSortMode(req) {
+    const sort = req.query.sort || 'quality';
+    if (!SORT_MODES.includes(sort)) {
+        return new ErrorObject(
+            strings.INVALID_SORT,
+            'user',
+            400,
+            strings.INVALID_SORT_HINT,
+            true,
+            false
+        );
+    }
+    return sort;
+}
+
+/**
+ * Reads a comma separated list of provider names from the query
+ */
+function getProviderList(value) {
+    if (!value) return [];
+    return String(value)
+        .split(',')
+        .map((name) => name.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Reads the ?providers=, ?exclude= and ?subtitles= query parameters
+ * @returns {Object|ErrorObject} The provider filter for scrapeMedia, or an ErrorObject if a name is not registered
+ */
+function getProviderFilter(req) {
+    const providers = getProviderList(req.query.providers);
+    const exclude = getProviderList(req.query.exclude);
+
+    const unknown = [...providers, ...exclude].filter(
+        (name) => !isRegisteredProvider(name)
+    );
+    if (unknown.length > 0) {
+        return new ErrorObject(
+            `${strings.UNKNOWN_PROVIDER}: ${unknown.join(', ')}`,
+            'user',
+            400,
+            strings.UNKNOWN_PROVIDER_HINT,
+            true,
+            false
+        );
+    }
+
+    return {
+        providers,
+        exclude,
+        subtitles: !['false', '0'].includes(req.query.subtitles)
+    };
+}
+
+/**
+ * Checks if the request asks for a debug scrape, with ?debug=1 or the X-Debug header
+ * @returns {boolean|ErrorObject} Whether to debug, or an ErrorObject if the admin key is missing
+ */
+function getDebugMode(req) {
+    const requested = [req.query.debug, req.headers['x-debug']].some(
+        (value) => value === '1' || value === 'true'
+    );
+    if (!requested) return false;
+
+    // Debug output exposes upstream URLs and skips the cache, so only admins get it
+    if (!isAdminRequest(req)) {
+        return new ErrorObject(
+            strings.DEBUG_UNAUTHORIZED,
+            'user',
+            401,
+            strings.DEBUG_UNAUTHORIZED_HINT,
+            true,
+            false
+        );
+    }
+    return true;
+}
+
+/**
+ * Reads every query parameter that changes how the media is scraped
+ * @returns {Object|ErrorObject} `{ sort, filter, debug }` for scrapeMedia, or the first validation error
+ */
+function getScrapeOptions(req) {
+    const sort = getSortMode(req);
+    if (sort instanceof ErrorObject) return sort;
+
+    const filter = getProviderFilter(req);
+    if (filter instanceof ErrorObject) return filter;
+
+    const debug = getDebugMode(req);
+    if (debug instanceof ErrorObject) return debug;
+
+    return { sort, filter, debug };
+}
+
+/**
+ * Scrapes the media and pushes every provider's results to the client as Server-Sent Events.
+ * Sends one `provider` event per provider and a final `done` event with a summary.
+ */
+async function streamScrape(req, res, media, options) {
+    const serverUrl = getServerUrl(req);
+    const startTime = Date.now();
+    const summary = {
+        providers: 0,
+        succeeded: [],
+        failed: [],
+        files: 0,
+        subtitles: 0,
+        cached: false
+    };
+
+    openEventStream(res);
+
+    // A comment line every 15 seconds keeps proxies from closing an idle stream
+    const keepAlive = setInterval(() => {
+        if (!res.writableEnded) res.write(': keep-alive\n\n');
+    }, 15000);
+    res.on('close', () => clearInterval(keepAlive));
+
+    try {
+        const result = await scrapeMedia(media, {
+            ...options,
+            onProviderResult: ({ provider, files, subtitles, error }) => {
+                summary.providers++;
+                if (provider === 'cache') summary.cached = true;
+
+                if (error) {
+                    summary.failed.push(provider);
+                    sendEvent(res, 'provider', {
+                        provider,
+                        files: [],
+                        subtitles: [],
+                        error: error instanceof ErrorObject ? error.toJSON() : null
+                    });
+                    return;
+                }
+
+                summary.succeeded.push(provider);
+                summary.files += files.length;
+                summary.subtitles += subtitles.length;
+
+                const processed = processApiResponse(
+                    { files, subtitles },
+                    serverUrl
+                );
+                sendEvent(res, 'provider', { provider, ...processed });
+            }
+        });
+
+        // Debug scrapes get their errors and trace in the summary
+        if (options.debug) {
+            summary.errors = result.errors;
+            summary.trace = result.trace;
+        }
+    } catch (e) {
+        sendEvent(
+            res,
+            'error',
+            new ErrorObject(
+                'An error occurred while streaming results: ' + e.message,
+                'backend',
+                500,
+                undefined,
+                true,
+                true
+            ).toJSON()
+        );
+    }
+
+    sendEvent(res, 'done', { ...summary, durationMs: Date.now() - startTime });
+    clearInterval(keepAlive);
+    res.end();
+}
 
 app.get('/', (req, res) => {
     res.status(200).json({
@@ -56,6 +271,128 @@ app.get('/', (req, res) => {
     });
 });
 
+/**
+ * Scrapes the media with the request's options and sends the proxied result
+ */
+async function sendScrapeResult(req, res, media, options) {
+    const output = await scrapeMedia(media, options);
+    res.status(200).json(processApiResponse(output, getServerUrl(req)));
+}
+
+// IMDb routes come before the TMDB ones, they resolve the IMDb ID through TMDB's find API
+app.get('/movie/imdb/:imdbId', async (req, res) => {
+    if (!checkIfPossibleImdbId(req.params.imdbId)) {
+        return handleErrorResponse(
+            res,
+            new ErrorObject(
+                strings.INVALID_MOVIE_ID,
+                'user',
+                405,
+                strings.INVALID_IMDB_ID_HINT,
+                true,
+                false
+            )
+        );
+    }
+
+    const options = getScrapeOptions(req);
+    if (options instanceof ErrorObject) {
+        return handleErrorResponse(res, options);
+    }
+
+    const found = await findTmdbIdByImdb(req.params.imdbId, 'movie');
+    if (found instanceof ErrorObject) {
+        return handleErrorResponse(res, found);
+    }
+
+    const media = await getMovieFromTmdb(found.tmdb);
+    if (media instanceof ErrorObject) {
+        return handleErrorResponse(res, media);
+    }
+
+    await sendScrapeResult(req, res, media, options);
+});
+
+app.get('/tv/imdb/:imdbId', async (req, res) => {
+    const invalid = new ErrorObject(
+        strings.INVALID_TV_ID,
+        'user',
+        405,
+        strings.INVALID_IMDB_ID_HINT,
+        true,
+        false
+    );
+    if (!checkIfPossibleImdbId(req.params.imdbId)) {
+        return handleErrorResponse(res, invalid);
+    }
+
+    const options = getScrapeOptions(req);
+    if (options instanceof ErrorObject) {
+        return handleErrorResponse(res, options);
+    }
+
+    const found = await findTmdbIdByImdb(req.params.imdbId, 'tv');
+    if (found instanceof ErrorObject) {
+        return handleErrorResponse(res, found);
+    }
+
+    // An episode's IMDb ID already names the episode, a show's needs ?s= and ?e=
+    const season = found.season ?? req.query.s;
+    const episode = found.episode ?? req.query.e;
+    if (!checkIfPossibleTmdbId(season) || !checkIfPossibleTmdbId(episode)) {
+        return handleErrorResponse(res, invalid);
+    }
+
+    const media = await getTvFromTmdb(found.tmdb, season, episode);
+    if (media instanceof ErrorObject) {
+        return handleErrorResponse(res, media);
+    }
+
+    await sendScrapeResult(req, res, media, options);
+});
+
+// Finds titles on TMDB, every match links to the route that scrapes it
+app.get('/search', async (req, res) => {
+    const query = String(req.query.q || '').trim();
+    const type = req.query.type || 'all';
+    const year = req.query.year;
+    if (
+        !query ||
+        !['movie', 'tv', 'all'].includes(type) ||
+        (year !== undefined && !/^[0-9]{4}$/.test(year))
+    ) {
+        return handleErrorResponse(
+            res,
+            new ErrorObject(
+                strings.INVALID_SEARCH,
+                'user',
+                400,
+                strings.INVALID_SEARCH_HINT,
+                true,
+                false
+            )
+        );
+    }
+
+    const results = await searchTmdb(query, { year, type });
+    if (results instanceof ErrorObject) {
+        return handleErrorResponse(res, results);
+    }
+
+    const serverUrl = getServerUrl(req);
+    res.status(200).json({
+        query,
+        results: results.map((result) => ({
+            ...result,
+            // TV shows link to their first episode, pick another one with ?s= and ?e=
+            url:
+                result.type === 'movie'
+                    ? `${serverUrl}/movie/${result.tmdb}`
+                    : `${serverUrl}/tv/${result.tmdb}?s=1&e=1`
+        }))
+    });
+});
+
 app.get('/movie/:tmdbId', async (req, res) => {
     if (!checkIfPossibleTmdbId(req.params.tmdbId)) {
         return handleErrorResponse(
@@ -71,12 +408,17 @@ app.get('/movie/:tmdbId', async (req, res) => {
         );
     }
 
+    const options = getScrapeOptions(req);
+    if (options instanceof ErrorObject) {
+        return handleErrorResponse(res, options);
+    }
+
     const media = await getMovieFromTmdb(req.params.tmdbId);
     if (media instanceof ErrorObject) {
         return handleErrorResponse(res, media);
     }
 
-    const output = await scrapeMedia(media);
+    const output = await scrapeMedia(media, options);
     if (output instanceof ErrorObject) {
         return handleErrorResponse(res, output);
     }
@@ -110,6 +452,11 @@ app.get('/tv/:tmdbId', async (req, res) => {
         );
     }
 
+    const options = getScrapeOptions(req);
+    if (options instanceof ErrorObject) {
+        return handleErrorResponse(res, options);
+    }
+
     const media = await getTvFromTmdb(
         req.params.tmdbId,
         req.query.s,
@@ -119,7 +466,7 @@ app.get('/tv/:tmdbId', async (req, res) => {
         return handleErrorResponse(res, media);
     }
 
-    const output = await scrapeMedia(media);
+    const output = await scrapeMedia(media, options);
     if (output instanceof ErrorObject) {
         return handleErrorResponse(res, output);
     }
@@ -131,6 +478,346 @@ app.get('/tv/:tmdbId', async (req, res) => {
     res.status(200).json(processedOutput);
 });
 
+app.get('/movie/:tmdbId/stream', async (req, res) => {
+    if (!checkIfPossibleTmdbId(req.params.tmdbId)) {
+        return handleErrorResponse(
+            res,
+            new ErrorObject(
+                strings.INVALID_MOVIE_ID,
+                'user',
+                405,
+                strings.INVALID_MOVIE_ID_HINT,
+                true,
+                false
+            )
+        );
+    }
+
+    const options = getScrapeOptions(req);
+    if (options instanceof ErrorObject) {
+        return handleErrorResponse(res, options);
+    }
+
+    const media = await getMovieFromTmdb(req.params.tmdbId);
+    if (media instanceof ErrorObject) {
+        return handleErrorResponse(res, media);
+    }
+
+    await streamScrape(req, res, media, options);
+});
+
+app.get('/tv/:tmdbId/stream', async (req, res) => {
+    if (
+        !checkIfPossibleTmdbId(req.params.tmdbId) ||
+        !checkIfPossibleTmdbId(req.query.s) ||
+        !checkIfPossibleTmdbId(req.query.e)
+    ) {
+        return handleErrorResponse(
+            res,
+            new ErrorObject(
+                strings.INVALID_TV_ID,
+                'user',
+                405,
+                strings.INVALID_TV_ID_HINT,
+                true,
+                false
+            )
+        );
+    }
+
+    const options = getScrapeOptions(req);
+    if (options instanceof ErrorObject) {
+        return handleErrorResponse(res, options);
+    }
+
+    const media = await getTvFromTmdb(
+        req.params.tmdbId,
+        req.query.s,
+        req.query.e
+    );
+    if (media instanceof ErrorObject) {
+        return handleErrorResponse(res, media);
+    }
+
+    await streamScrape(req, res, media, options);
+});
+
+// Whether the movie has any playable source, cheaper than a full scrape
+app.get('/movie/:tmdbId/available', async (req, res) => {
+    if (!checkIfPossibleTmdbId(req.params.tmdbId)) {
+        return handleErrorResponse(
+            res,
+            new ErrorObject(
+                strings.INVALID_MOVIE_ID,
+                'user',
+                405,
+                strings.INVALID_MOVIE_ID_HINT,
+                true,
+                false
+            )
+        );
+    }
+
+    const filter = getProviderFilter(req);
+    if (filter instanceof ErrorObject) {
+        return handleErrorResponse(res, filter);
+    }
+
+    const media = await getMovieFromTmdb(req.params.tmdbId);
+    if (media instanceof ErrorObject) {
+        return handleErrorResponse(res, media);
+    }
+
+    res.status(200).json(await probeMedia(media, { filter }));
+});
+
+app.get('/tv/:tmdbId/available', async (req, res) => {
+    if (
+        !checkIfPossibleTmdbId(req.params.tmdbId) ||
+        !checkIfPossibleTmdbId(req.query.s) ||
+        !checkIfPossibleTmdbId(req.query.e)
+    ) {
+        return handleErrorResponse(
+            res,
+            new ErrorObject(
+                strings.INVALID_TV_ID,
+                'user',
+                405,
+                strings.INVALID_TV_ID_HINT,
+                true,
+                false
+            )
+        );
+    }
+
+    const filter = getProviderFilter(req);
+    if (filter instanceof ErrorObject) {
+        return handleErrorResponse(res, filter);
+    }
+
+    const media = await getTvFromTmdb(
+        req.params.tmdbId,
+        req.query.s,
+        req.query.e
+    );
+    if (media instanceof ErrorObject) {
+        return handleErrorResponse(res, media);
+    }
+
+    res.status(200).json(await probeMedia(media, { filter }));
+});
+
+/**
+ * Shapes the result of a single episode of a season scrape for the response
+ */
+function formatEpisodeResult({ media, result, error }, serverUrl) {
+    const episode = { episode: media.episode, episodeName: media.episodeName };
+    if (error) {
+        return { ...episode, files: [], subtitles: [], error: error.toJSON() };
+    }
+    return { ...episode, ...processApiResponse(result, serverUrl) };
+}
+
+/**
+ * Validates the season route parameters and looks up the season
+ * @returns {Promise<Object|ErrorObject>} The season from getSeasonFromTmdb, or an ErrorObject
+ */
+async function getSeason(req) {
+    if (
+        !checkIfPossibleTmdbId(req.params.tmdbId) ||
+        !checkIfPossibleTmdbId(req.params.s)
+    ) {
+        return new ErrorObject(
+            strings.INVALID_TV_ID,
+            'user',
+            405,
+            strings.INVALID_TV_ID_HINT,
+            true,
+            false
+        );
+    }
+    return getSeasonFromTmdb(req.params.tmdbId, req.params.s);
+}
+
+// Scrapes every aired episode of a season, each one lands in its usual per-episode cache entry
+app.get('/tv/:tmdbId/season/:s', async (req, res) => {
+    const options = getScrapeOptions(req);
+    if (options instanceof ErrorObject) {
+        return handleErrorResponse(res, options);
+    }
+
+    const season = await getSeason(req);
+    if (season instanceof ErrorObject) {
+        return handleErrorResponse(res, season);
+    }
+
+    const episodes = await scrapeSeason(season, options);
+
+    const serverUrl = getServerUrl(req);
+    res.status(200).json({
+        tmdb: season.tmdb,
+        name: season.name,
+        season: season.season,
+        episodeCount: season.episodeCount,
+        episodes: episodes.map((episode) =>
+            formatEpisodeResult(episode, serverUrl)
+        )
+    });
+});
+
+// Same as above, but every episode is sent as an `episode` event as soon as it is done
+app.get('/tv/:tmdbId/season/:s/stream', async (req, res) => {
+    const options = getScrapeOptions(req);
+    if (options instanceof ErrorObject) {
+        return handleErrorResponse(res, options);
+    }
+
+    const season = await getSeason(req);
+    if (season instanceof ErrorObject) {
+        return handleErrorResponse(res, season);
+    }
+
+    const startTime = Date.now();
+    const serverUrl = getServerUrl(req);
+    const summary = {
+        name: season.name,
+        season: season.season,
+        episodes: season.episodes.length,
+        succeeded: 0,
+        failed: 0,
+        files: 0
+    };
+
+    openEventStream(res);
+
+    const keepAlive = setInterval(() => {
+        if (!res.writableEnded) res.write(': keep-alive\n\n');
+    }, 15000);
+    res.on('close', () => clearInterval(keepAlive));
+
+    await scrapeSeason(season, {
+        ...options,
+        onEpisodeResult: (episode) => {
+            const formatted = formatEpisodeResult(episode, serverUrl);
+            if (episode.error || formatted.files.length === 0) {
+                summary.failed++;
+            } else {
+                summary.succeeded++;
+            }
+            summary.files += formatted.files.length;
+            sendEvent(res, 'episode', formatted);
+        }
+    });
+
+    sendEvent(res, 'done', { ...summary, durationMs: Date.now() - startTime });
+    clearInterval(keepAlive);
+    res.end();
+});
+
+/**
+ * Looks up a single batch item, validated the same way as the /movie and /tv routes
+ * @returns {Promise<Object|ErrorObject>} The media object, or an ErrorObject
+ */
+async function getBatchMedia(item) {
+    if (item?.type === 'movie' && checkIfPossibleTmdbId(item.tmdb)) {
+        return getMovieFromTmdb(item.tmdb);
+    }
+    if (
+        item?.type === 'tv' &&
+        checkIfPossibleTmdbId(item.tmdb) &&
+        checkIfPossibleTmdbId(item.season) &&
+        checkIfPossibleTmdbId(item.episode)
+    ) {
+        return getTvFromTmdb(item.tmdb, item.season, item.episode);
+    }
+    return new ErrorObject(
+        item?.type === 'tv' ? strings.INVALID_TV_ID : strings.INVALID_MOVIE_ID,
+        'user',
+        405,
+        strings.INVALID_BATCH_ITEM_HINT,
+        true,
+        false
+    );
+}
+
+/**
+ * Builds the key a batch item's result is returned under, e.g. movie:550 or tv:1399:1:1
+ */
+function getBatchKey(item) {
+    return [item?.type, item?.tmdb, item?.season, item?.episode]
+        .filter((part) => part !== undefined && part !== null)
+        .join(':');
+}
+
+// Scrapes several titles in one request, it counts against the rate limit by its number of items
+app.post('/batch', async (req, res) => {
+    const items = req.body?.items;
+    if (
+        !Array.isArray(items) ||
+        items.length === 0 ||
+        items.length > BATCH_CONFIG.maxItems
+    ) {
+        return handleErrorResponse(
+            res,
+            new ErrorObject(
+                strings.INVALID_BATCH,
+                'user',
+                400,
+                `Send {"items": [{"type": "movie", "tmdb": 550}, {"type": "tv", "tmdb": 1399, "season": 1, "episode": 1}]} with at most ${BATCH_CONFIG.maxItems} items.`,
+                true,
+                false
+            )
+        );
+    }
+
+    const options = getScrapeOptions(req);
+    if (options instanceof ErrorObject) {
+        return handleErrorResponse(res, options);
+    }
+
+    // Items asking for the same title share a result
+    const unique = new Map(items.map((item) => [getBatchKey(item), item]));
+    const serverUrl = getServerUrl(req);
+    const results = {};
+
+    await mapWithConcurrency(
+        [...unique],
+        BATCH_CONFIG.concurrency,
+        async ([key, item]) => {
+            const media = await getBatchMedia(item);
+            if (media instanceof ErrorObject) {
+                results[key] = { files: [], subtitles: [], error: media.toJSON() };
+                return;
+            }
+            try {
+                const output = await scrapeMedia(media, options);
+                results[key] = processApiResponse(output, serverUrl);
+            } catch (e) {
+                results[key] = {
+                    files: [],
+                    subtitles: [],
+                    error: new ErrorObject(
+                        'An error occurred while scraping: ' + e.message,
+                        'backend',
+                        500,
+                        undefined,
+                        true,
+                        true
+                    ).toJSON()
+                };
+            }
+        }
+    );
+
+    // Keys in the order the items were sent
+    res.status(200).json({
+        count: unique.size,
+        results: Object.fromEntries(
+            [...unique.keys()].map((key) => [key, results[key]])
+        )
+    });
+});
+
 app.get('/movie/', (req, res) => {
     handleErrorResponse(
         res,
@@ -166,12 +853,24 @@ app.get('/healthz', (req, res) => {
 
 // Endpoint to flex how well our cache is doing - because who doesn't love stats
 // Hell Yeah we love it, Because STONE COLD SAID SOOOOO
-app.get('/cache-stats', (req, res) => {
-    const stats = getCacheStats();
+app.get('/cache-stats', async (req, res) => {
+    const stats = await getCacheStats();
     res.status(200).json({
         ...stats,
         cacheEnabled: true,
-        ttl: '3 hours (10800 seconds)'
+        ttl: `${CACHE_CONFIG.ttl / 3600} hours (${CACHE_CONFIG.ttl} seconds)`,
+        staleTtl: CACHE_CONFIG.staleTtl,
+        negativeTtl: CACHE_CONFIG.negativeTtl
+    });
+});
+
+// Lists every registered provider and whether it is currently enabled
+app.get('/providers', (req, res) => {
+    res.status(200).json({
+        providers: getAllProviders().map((provider) => ({
+            ...describeProvider(provider),
+            enabled: isProviderEnabled(provider.name)
+        }))
     });
 });
 
@@ -181,7 +880,8 @@ app.get('/metrics', (req, res) => {
     const hostMetrics = metrics.getAllHostMetrics();
     res.status(200).json({
         global: globalMetrics,
-        hosts: hostMetrics
+        hosts: hostMetrics,
+        providers: metrics.getAllProviderMetrics()
     });
 });
 
@@ -202,14 +902,14 @@ const isMain = process.argv[1] === fileURLToPath(import.meta.url);
 
 if (isMain) {
     startup();
+    startCacheWarmer();
     app.listen(PORT, () => {
         console.log(`Server is running on port http://localhost:${PORT}`);
-        if (process.argv.includes('--debug')) {
-            console.log(`Debug mode is enabled.`);
-            console.log('Cache is disabled.');
-        } else {
-            console.log('Debug mode is disabled.');
-            console.log('Cache is enabled.');
+        console.log('Cache is enabled.');
+        if (process.env.ADMIN_API_KEY) {
+            console.log(
+                'Debug a single request with ?debug=1 and the admin key.'
+            );
         }
     });
 }
@@ -0,0 +1,107 @@
+import { requireAdmin } from '../middleware/adminAuth.js';
+import { ErrorObject } from '../helpers/ErrorObject.js';
+import { handleErrorResponse } from '../helpers/helper.js';
+import { getAllProviders, getProvider } from '../utils/providerRegistry.js';
+import {
+    enableProvider,
+    disableProvider,
+    getProviderStatuses
+} from '../utils/providerConfig.js';
+import { invalidateProvider } from '../cache/cache.js';
+import { getBreaker, resetBreaker } from '../utils/circuitBreaker.js';
+import { getHostConfig, reloadHostConfig } from '../utils/hostConfig.js';
+import { createCacheAdminRoutes } from './cacheAdminRoutes.js';
+
+/**
+ * Builds the admin view of every provider
+ */
+function listProviders() {
+    const statuses = getProviderStatuses();
+    return getAllProviders().map((provider) => ({
+        name: provider.name,
+        kind: provider.kind,
+        priority: provider.priority,
+        enabled: statuses[provider.name] !== false,
+        enabledByDefault: provider.enabled,
+        breaker: getBreaker(provider.name).getState()
+    }));
+}
+
+/**
+ * Flips a provider on or off and drops the cached results it contributed to
+ */
+async function toggleProvider(req, res, enabled) {
+    const provider = getProvider(req.params.name);
+    if (!provider) {
+        return handleErrorResponse(
+            res,
+            new ErrorObject(
+                `NOT_FOUND: Unknown provider ${req.params.name}`,
+                'admin',
+                404,
+                'Use GET /admin/providers to see the registered provider names.',
+                true,
+                false
+            )
+        );
+    }
+
+    if (enabled) {
+        enableProvider(provider.name);
+        // Turning a provider back on also gives it a clean breaker
+        resetBreaker(provider.name);
+    } else {
+        disableProvider(provider.name);
+    }
+    const invalidated = await invalidateProvider(provider.name);
+
+    res.status(200).json({
+        name: provider.name,
+        enabled,
+        persisted: Boolean(process.env.PROVIDER_STATE_FILE),
+        invalidatedCacheEntries: invalidated
+    });
+}
+
+export function createAdminRoutes(app) {
+    app.use('/admin', requireAdmin);
+
+    // Lists every provider with its live kill-switch state
+    app.get('/admin/providers', (req, res) => {
+        res.status(200).json({ providers: listProviders() });
+    });
+
+    app.post('/admin/providers/:name/enable', async (req, res) => {
+        await toggleProvider(req, res, true);
+    });
+
+    app.post('/admin/providers/:name/disable', async (req, res) => {
+        await toggleProvider(req, res, false);
+    });
+
+    // Proxy host allowlist and header templates in force, provider rules included
+    app.get('/admin/hosts', (req, res) => {
+        res.status(200).json(getHostConfig());
+    });
+
+    // Reloads HOST_CONFIG_FILE right away instead of waiting for the file watcher
+    app.post('/admin/hosts/reload', (req, res) => {
+        const config = reloadHostConfig();
+        if (config.lastError) {
+            return handleErrorResponse(
+                res,
+                new ErrorObject(
+                    `Could not reload the host config: ${config.lastError}`,
+                    'admin',
+                    400,
+                    'Fix the file and reload again, the rules loaded before are still in force.',
+                    true,
+                    false
+                )
+            );
+        }
+        res.status(200).json(config);
+    });
+
+    createCacheAdminRoutes(app);
+}
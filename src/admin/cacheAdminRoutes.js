@@ -0,0 +1,234 @@
+import { ErrorObject } from '../helpers/ErrorObject.js';
+import { handleErrorResponse } from '../helpers/helper.js';
+import {
+    getCacheEntries,
+    inspectCacheEntry,
+    deleteFromCache,
+    flushCache,
+    getCacheStats
+} from '../cache/cache.js';
+import {
+    getCacheStats as getHlsCacheStats,
+    isHlsCacheKind,
+    listHlsCacheKeys,
+    deleteHlsCacheKeys,
+    enableSegmentCache,
+    disableSegmentCache,
+    isSegmentCacheEnabled
+} from '../utils/hlsCache.js';
+import {
+    WARM_SOURCES,
+    runCacheWarm,
+    getWarmStatus
+} from '../utils/cacheWarmer.js';
+
+// Page size of GET /admin/cache
+const DEFAULT_ENTRY_LIMIT = 100;
+const MAX_ENTRY_LIMIT = 1000;
+
+/**
+ * Reads a non-negative integer query parameter, NaN if it is malformed
+ */
+function readCount(value, fallback) {
+    if (value === undefined) return fallback;
+    return /^\d+$/.test(value) ? Number(value) : NaN;
+}
+
+function notFound(res, message, hint) {
+    return handleErrorResponse(
+        res,
+        new ErrorObject(
+            `NOT_FOUND: ${message}`,
+            'admin',
+            404,
+            hint,
+            true,
+            false
+        )
+    );
+}
+
+/**
+ * Rejects unknown HLS cache names, returns true if the request was answered
+ */
+function rejectUnknownKind(req, res) {
+    if (isHlsCacheKind(req.params.kind)) {
+        return false;
+    }
+    notFound(
+        res,
+        `Unknown HLS cache ${req.params.kind}`,
+        'The HLS caches are "playlists", "segments" and "ranges".'
+    );
+    return true;
+}
+
+/**
+ * Cache administration. Registered behind requireAdmin by createAdminRoutes.
+ */
+export function createCacheAdminRoutes(app) {
+    // Lists scrape cache keys with their age and remaining TTL, ?pattern=tv_1399_* narrows it down.
+    // Paged with ?offset= and ?limit=
+    app.get('/admin/cache', async (req, res) => {
+        const offset = readCount(req.query.offset, 0);
+        const limit = readCount(req.query.limit, DEFAULT_ENTRY_LIMIT);
+        if (
+            Number.isNaN(offset) ||
+            Number.isNaN(limit) ||
+            limit > MAX_ENTRY_LIMIT
+        ) {
+            return handleErrorResponse(
+                res,
+                new ErrorObject(
+                    'Invalid paging',
+                    'admin',
+                    400,
+                    `offset and limit are non-negative integers, limit is at most ${MAX_ENTRY_LIMIT}.`,
+                    true,
+                    false
+                )
+            );
+        }
+
+        const { total, entries } = await getCacheEntries(req.query.pattern, {
+            offset,
+            limit
+        });
+        res.status(200).json({
+            ...(await getCacheStats()),
+            total,
+            offset,
+            limit,
+            count: entries.length,
+            entries
+        });
+    });
+
+    // Deletes every scrape cache key matching ?pattern=
+    app.delete('/admin/cache', async (req, res) => {
+        if (!req.query.pattern) {
+            return handleErrorResponse(
+                res,
+                new ErrorObject(
+                    'Missing pattern',
+                    'admin',
+                    400,
+                    'Pass ?pattern=tv_1399_* to delete by pattern, or use POST /admin/cache/flush to drop everything.',
+                    true,
+                    false
+                )
+            );
+        }
+        res.status(200).json({
+            pattern: req.query.pattern,
+            deleted: await deleteFromCache(req.query.pattern)
+        });
+    });
+
+    app.post('/admin/cache/flush', async (req, res) => {
+        res.status(200).json({ deleted: await flushCache() });
+    });
+
+    // Shows a single cached result as stored, expired files included
+    app.get('/admin/cache/entries/:key', async (req, res) => {
+        const entry = await inspectCacheEntry(req.params.key);
+        if (!entry) {
+            return notFound(
+                res,
+                `Nothing cached for ${req.params.key}`,
+                'Use GET /admin/cache to see the cached keys.'
+            );
+        }
+        res.status(200).json(entry);
+    });
+
+    app.delete('/admin/cache/entries/:key', async (req, res) => {
+        const deleted = await deleteFromCache(req.params.key);
+        if (deleted === 0) {
+            return notFound(
+                res,
+                `Nothing cached for ${req.params.key}`,
+                'Use GET /admin/cache to see the cached keys.'
+            );
+        }
+        res.status(200).json({ key: req.params.key, deleted });
+    });
+
+    // Playlist and segment caches of the HLS proxy
+    app.get('/admin/cache/hls', async (req, res) => {
+        res.status(200).json(await getHlsCacheStats());
+    });
+
+    app.post('/admin/cache/hls/segments/enable', (req, res) => {
+        enableSegmentCache();
+        res.status(200).json({ segmentCacheEnabled: isSegmentCacheEnabled() });
+    });
+
+    app.post('/admin/cache/hls/segments/disable', async (req, res) => {
+        // Disabling also drops every cached segment
+        await disableSegmentCache();
+        res.status(200).json({ segmentCacheEnabled: isSegmentCacheEnabled() });
+    });
+
+    app.get('/admin/cache/hls/:kind', async (req, res) => {
+        if (rejectUnknownKind(req, res)) return;
+        const keys = await listHlsCacheKeys(req.params.kind, req.query.pattern);
+        res.status(200).json({ count: keys.length, keys });
+    });
+
+    // Deletes the HLS cache entries matching ?pattern=, or all of them
+    app.delete('/admin/cache/hls/:kind', async (req, res) => {
+        if (rejectUnknownKind(req, res)) return;
+        res.status(200).json({
+            deleted: await deleteHlsCacheKeys(
+                req.params.kind,
+                req.query.pattern
+            )
+        });
+    });
+
+    // Schedule and progress of the cache warmer
+    app.get('/admin/cache/warm', (req, res) => {
+        res.status(200).json(getWarmStatus());
+    });
+
+    // Starts a warming pass right away, optionally with other sources or watch list than configured
+    app.post('/admin/cache/warm', (req, res) => {
+        const { sources, watchList } = req.body || {};
+        if (
+            (sources !== undefined && !Array.isArray(sources)) ||
+            (watchList !== undefined && !Array.isArray(watchList)) ||
+            (sources || []).some((source) => !WARM_SOURCES.includes(source))
+        ) {
+            return handleErrorResponse(
+                res,
+                new ErrorObject(
+                    'Invalid warming options',
+                    'admin',
+                    400,
+                    `sources is a list of ${WARM_SOURCES.join(', ')} and watchList a list like ["movie:550", "tv:1399", "tv:1399:1:1"].`,
+                    true,
+                    false
+                )
+            );
+        }
+
+        // A running pass would be joined and the options above silently dropped
+        if (getWarmStatus().running) {
+            return handleErrorResponse(
+                res,
+                new ErrorObject(
+                    'CONFLICT: A warming pass is already running',
+                    'admin',
+                    409,
+                    'Follow it with GET /admin/cache/warm and start yours once it is done.',
+                    true,
+                    false
+                )
+            );
+        }
+
+        runCacheWarm({ sources, watchList }).catch(() => {});
+        res.status(202).json(getWarmStatus());
+    });
+}
@@ -1,157 +1,556 @@
-import { getTwoEmbed } from './controllers/providers/2Embed/2embed.js';
-import { getAutoembed } from './controllers/providers/AutoEmbed/autoembed.js';
-import { getPrimewire } from './controllers/providers/PrimeWire/primewire.js';
-import { getVidSrcCC } from './controllers/providers/VidSrcCC/vidsrccc.js';
-import { getVidSrc } from './controllers/providers/VidSrc/VidSrc.js';
-import { getVidRock } from './controllers/providers/VidRock/Vidrock.js';
-import { getXprime } from './controllers/providers/xprime/xprime.js';
+import { setMaxListeners } from 'events';
 import { ErrorObject } from './helpers/ErrorObject.js';
-import { getVidsrcWtf } from './controllers/providers/VidSrcWtf/VidSrcWtf.js';
-import { getVidZee } from './controllers/providers/VidZee/VidZee.js';
-import { getWyzie } from './controllers/subs/wyzie.js';
-import { getLibre } from './controllers/subs/libresubs.js';
+import { mapWithConcurrency } from './helpers/helper.js';
 import { getCacheKey, getFromCache, setToCache } from './cache/cache.js';
-import { get111Movies } from './controllers/providers/111movies/111movies.js';
-import { getCinemaOS } from './controllers/providers/CinemaOS/CinemaOS.js';
-import { getMultiembed } from './controllers/providers/MultiEmbed/MultiEmbed.js';
-import { isProviderEnabled } from './utils/providerConfig.js';
+import {
+    isProviderEnabled,
+    getProviderTimeout,
+    SCRAPE_DEADLINE,
+    SEASON_SCRAPE_CONCURRENCY
+} from './utils/providerConfig.js';
+import { getAllProviders, supportsMedia } from './utils/providerRegistry.js';
+import { getBreaker, recordProviderResult } from './utils/circuitBreaker.js';
+import { normalizeFile, rankFiles } from './utils/sourceRanking.js';
+import { VALIDATION_CONFIG, pruneDeadFiles } from './utils/linkValidator.js';
+import { metrics } from './utils/metrics.js';
+import { createProviderTrace, runWithTrace } from './utils/requestTrace.js';
 
-const shouldDebug = process.argv.includes('--debug');
+/**
+ * Builds the list of enabled providers that can scrape this media, in priority order.
+ * @param {Object} media - The media object returned by the TMDB helpers.
+ * @param {Object} [filter] - The per-request provider filter, see scrapeMedia.
+ * @returns {Array<{name: string, fn: Function}>} The enabled providers. `fn` takes an AbortSignal.
+ */
+function getProviders(media, filter = {}) {
+    return getAllProviders()
+        .filter(
+            (provider) =>
+                isProviderEnabled(provider.name) &&
+                supportsMedia(provider, media) &&
+                isSelected(provider, filter)
+        )
+        .map((provider) => ({
+            name: provider.name,
+            fn: (signal) => provider.fn(media, signal)
+        }));
+}
+
+/**
+ * Checks if the per-request filter lets this provider run
+ */
+function isSelected(provider, { providers, exclude, subtitles } = {}) {
+    if (providers?.length && !providers.includes(provider.name)) {
+        return false;
+    }
+    if (exclude?.includes(provider.name)) {
+        return false;
+    }
+    return subtitles !== false || provider.kind !== 'subtitles';
+}
+
+/**
+ * Runs a single provider within its time budget.
+ * When the budget (or the scrape deadline) runs out, the provider's in-flight requests
+ * are aborted through the AbortSignal it was given and a timeout ErrorObject is returned.
+ * @param {{name: string, fn: Function}} provider - The provider to run.
+ * @param {AbortSignal} [deadlineSignal] - Aborts when the whole scrape is out of time.
+ * @param {Object} [trace] - Collects the upstream URLs the provider hits, for debug scrapes.
+ * @returns {Promise<Object|ErrorObject|null>} The provider result, an ErrorObject, or null if it threw.
+ */
+function runProvider(provider, deadlineSignal, trace) {
+    const timeoutMs = getProviderTimeout(provider.name);
+    const controller = new AbortController();
+
+    return new Promise((resolve) => {
+        let timer;
+        const onDeadline = () => {
+            controller.abort();
+            cleanup();
+            resolve(
+                new ErrorObject(
+                    'PROVIDER_TIMEOUT: Scrape deadline reached before the provider finished',
+                    provider.name,
+                    504,
+                    `The whole scrape is limited to ${SCRAPE_DEADLINE}ms (SCRAPE_DEADLINE_MS).`,
+                    true,
+                    false
+                )
+            );
+        };
+        const cleanup = () => {
+            clearTimeout(timer);
+            deadlineSignal?.removeEventListener('abort', onDeadline);
+        };
+
+        if (deadlineSignal?.aborted) {
+            onDeadline();
+            return;
+        }
+        deadlineSignal?.addEventListener('abort', onDeadline, { once: true });
+
+        timer = setTimeout(() => {
+            controller.abort();
+            cleanup();
+            resolve(
+                new ErrorObject(
+                    `PROVIDER_TIMEOUT: Provider did not respond within ${timeoutMs}ms`,
+                    provider.name,
+                    504,
+                    'The provider is slow or hanging. Its budget can be changed in src/utils/providerConfig.js or with PROVIDER_TIMEOUTS.',
+                    true,
+                    false
+                )
+            );
+        }, timeoutMs);
+
+        Promise.resolve()
+            .then(() =>
+                trace
+                    ? runWithTrace(trace, () => provider.fn(controller.signal))
+                    : provider.fn(controller.signal)
+            )
+            .then(
+                (data) => resolve(data),
+                (error) => {
+                    trace?.notes.push(`Threw: ${error?.message || error}`);
+                    resolve(null);
+                }
+            )
+            .finally(cleanup);
+    });
+}
+
+function isSuccessfulResult(data) {
+    return data && !(data instanceof Error || data instanceof ErrorObject);
+}
+
+/**
+ * Gets the error to report for a provider that did not succeed
+ */
+function getResultError(provider, data) {
+    if (data instanceof ErrorObject) {
+        return data;
+    }
+    return new ErrorObject(
+        'Provider returned no result',
+        provider,
+        500,
+        'The provider threw an unexpected exception or returned nothing.',
+        true,
+        false
+    );
+}
+
+function isValidFile(file) {
+    return (
+        file &&
+        file.file &&
+        typeof file.file === 'string' &&
+        file.file.includes('https://')
+    );
+}
 
-export async function scrapeMedia(media) {
-    // First thing - check if we already have this data cached (unless you're debugging and want fresh data)
-    const cacheKey = getCacheKey(media);
+function getResultFiles(data) {
+    return Array.isArray(data.files) ? data.files : [data.files];
+}
+
+// Subtitles get the same provider attribution as files
+function getResultSubtitles(data, provider) {
+    return (Array.isArray(data.subtitles) ? data.subtitles : [])
+        .filter((sub) => sub && sub.url)
+        .map((sub) => ({ ...sub, provider }));
+}
+
+// Scrapes in progress by cache key, so identical concurrent requests share one scrape
+const inFlightScrapes = new Map();
+
+/**
+ * Joins the scrape already running for this cache key, or starts it.
+ * Provider results reported before a caller joined are replayed to it, so every
+ * caller sees the same sequence of `onProviderResult` calls.
+ */
+async function joinScrape(cacheKey, media, filter, onProviderResult) {
+    let entry = inFlightScrapes.get(cacheKey);
+
+    if (!entry) {
+        const current = { events: [], listeners: new Set() };
+        current.promise = scrapeProviders(media, {
+            filter,
+            cacheKey,
+            onProviderResult: (event) => {
+                current.events.push(event);
+                current.listeners.forEach((listener) => {
+                    try {
+                        listener(event);
+                    } catch (e) {
+                        // One caller's listener must not break the others
+                    }
+                });
+            }
+        }).finally(() => inFlightScrapes.delete(cacheKey));
+
+        inFlightScrapes.set(cacheKey, current);
+        entry = current;
+    }
+
+    if (!onProviderResult) {
+        return entry.promise;
+    }
+
+    entry.events.forEach((event) => onProviderResult(event));
+    entry.listeners.add(onProviderResult);
+    try {
+        return await entry.promise;
+    } finally {
+        entry.listeners.delete(onProviderResult);
+    }
+}
 
-    if (!shouldDebug) {
-        const cachedResult = getFromCache(cacheKey);
+/**
+ * Scrapes every enabled provider for the given media and merges the results.
+ * Concurrent calls with the same cache key (media and filter) share one scrape, except debug calls.
+ *
+ * @param {Object} media - The media object returned by the TMDB helpers.
+ * @param {Object} [options]
+ * @param {Function} [options.onProviderResult] - Called once per provider as soon as it settles with
+ * `{ provider, files, subtitles, error }`. Files and subtitles carry the `provider` that found them and are deduplicated against everything
+ * reported before. On a cache hit it is called once with provider `cache`.
+ * @param {string} [options.sort] - How to rank the merged files, one of SORT_MODES in src/utils/sourceRanking.js.
+ * @param {Object} [options.filter] - Which providers run for this request. Disabled providers never run.
+ * @param {Array<string>} [options.filter.providers] - Only run these providers.
+ * @param {Array<string>} [options.filter.exclude] - Never run these providers.
+ * @param {boolean} [options.filter.subtitles] - `false` skips the subtitle providers.
+ * @param {boolean} [options.debug] - Debug this scrape only: skip the cache and add `errors` and a
+ * per-provider `trace` (status, timing, upstream URLs) to the result.
+ * @param {boolean} [options.refresh] - Ignore the cached result and scrape, the new result replaces it.
+ * @returns {Promise<Object>} The merged `{ files, subtitles }` result, files normalized and ranked.
+ */
+export async function scrapeMedia(
+    media,
+    { onProviderResult, sort, filter = {}, debug = false, refresh = false } = {}
+) {
+    // First thing - check if we already have this data cached (a debug scrape always wants fresh data)
+    const cacheKey = getCacheKey(media, filter);
+
+    if (!debug && !refresh) {
+        const cached = await getFromCache(cacheKey);
+
+        let cachedResult = cached?.data;
+        let revalidate = cached?.stale;
+
+        // Optionally check the cached links first and leave out the dead ones
+        if (cached && !cached.negative && VALIDATION_CONFIG.enabled) {
+            const { files, pruned } = await pruneDeadFiles(cachedResult.files);
+            cachedResult = { ...cachedResult, files };
+            if (files.length === 0) {
+                // Nothing left worth serving, scrape right away
+                cachedResult = undefined;
+            } else if (
+                pruned > 0 &&
+                files.length < VALIDATION_CONFIG.minFiles
+            ) {
+                revalidate = true;
+            }
+        }
 
         if (cachedResult) {
-            // Found it in cache, then we don't need to scrape again
-            if (shouldDebug) {
-                console.log(
-                    `[CACHE] Cache for ${cacheKey} - serving from memory instead of scraping`
-                );
+            // Stale-while-revalidate: a stale (or thinned out) entry is still served, and refreshed in the background
+            if (revalidate) {
+                joinScrape(cacheKey, media, filter).catch(() => {});
             }
-            return cachedResult;
+
+            // Found it in cache, then we don't need to scrape again
+            onProviderResult?.({
+                provider: 'cache',
+                files: cachedResult.files,
+                subtitles: cachedResult.subtitles,
+                error: null
+            });
+            return {
+                ...cachedResult,
+                files: rankFiles(cachedResult.files, sort)
+            };
         }
     }
 
+    // Debug scrapes always run on their own, everyone else shares the scrape already in progress
+    const result = debug
+        ? await scrapeProviders(media, {
+              filter,
+              debug,
+              cacheKey,
+              onProviderResult
+          })
+        : await joinScrape(cacheKey, media, filter, onProviderResult);
+
+    return { ...result, files: rankFiles(result.files, sort) };
+}
+
+/**
+ * Runs the providers for the media and merges their results, unranked.
+ * Non-debug results are cached under `cacheKey`, results without files as negative entries.
+ */
+async function scrapeProviders(
+    media,
+    { filter, debug = false, cacheKey, onProviderResult }
+) {
     // If no cache or bypassed, time to do the actual workkkk
-    if (shouldDebug) {
-        console.log(
-            `[CACHE] ${shouldDebug ? 'Cache bypassed' : 'No cache Found'} for ${cacheKey}, work starts now...`
+    const providers = getProviders(media, filter);
+
+    // Everything already reported through onProviderResult, so a file found
+    // by two providers is only pushed once
+    const reportedFiles = new Set();
+    const reportedSubtitles = new Set();
+    const report = (provider, data) => {
+        if (!onProviderResult) return;
+
+        if (!isSuccessfulResult(data)) {
+            onProviderResult({
+                provider,
+                files: [],
+                subtitles: [],
+                error: getResultError(provider, data)
+            });
+            return;
+        }
+
+        const files = getResultFiles(data)
+            .filter(
+                (file) => isValidFile(file) && !reportedFiles.has(file.file)
+            )
+            .map((file) => normalizeFile(file, provider));
+        files.forEach((file) => reportedFiles.add(file.file));
+
+        const subtitles = getResultSubtitles(data, provider).filter(
+            (sub) => !reportedSubtitles.has(sub.url)
         );
-    }
-    const providers = [
-        // WORKING
-        { name: 'getTwoEmbed', fn: () => getTwoEmbed(media), enabled: isProviderEnabled('getTwoEmbed') },
-        { name: 'getAutoembed', fn: () => getAutoembed(media), enabled: isProviderEnabled('getAutoembed') },
-        { name: 'get111Movies', fn: () => get111Movies(media), enabled: isProviderEnabled('get111Movies') },
-        { name: 'getVidSrcCC', fn: () => getVidSrcCC(media), enabled: isProviderEnabled('getVidSrcCC') },
-        { name: 'getVidSrc', fn: () => getVidSrc(media), enabled: isProviderEnabled('getVidSrc') },
-        { name: 'getVidrock', fn: () => getVidRock(media), enabled: isProviderEnabled('getVidrock') },
-        { name: 'getCinemaOS', fn: () => getCinemaOS(media), enabled: isProviderEnabled('getCinemaOS') },
-        { name: 'getMultiembed', fn: () => getMultiembed(media), enabled: isProviderEnabled('getMultiembed') },
-        { name: 'getVidsrcWtf', fn: () => getVidsrcWtf(media), enabled: isProviderEnabled('getVidsrcWtf') },
-
-        // It does need to fixed but it acts like it is down sometimes throws 520 or 524 so,
-        // You got my point right ?
-        { name: 'getVidZee', fn: () => getVidZee(media), enabled: isProviderEnabled('getVidZee') },
-
-        // NEED TO FIX
-        { name: 'getXprime', fn: () => getXprime(media), enabled: isProviderEnabled('getXprime') },
-        { name: 'getPrimewire', fn: () => getPrimewire(media), enabled: isProviderEnabled('getPrimewire') },
-
-        // SUB SEARCH
-        { name: 'getWyzie', fn: () => getWyzie(media), enabled: isProviderEnabled('getWyzie') },
-        { name: 'getLibre', fn: () => getLibre(media), enabled: isProviderEnabled('getLibre') }
-    ].filter(p => p.enabled); // Filter out disabled providers
+        subtitles.forEach((sub) => reportedSubtitles.add(sub.url));
+
+        onProviderResult({ provider, files, subtitles, error: null });
+    };
+
+    // Guaranteed upper bound for the whole scrape, whatever the per-provider budgets are
+    const deadlineSignal =
+        SCRAPE_DEADLINE > 0 ? AbortSignal.timeout(SCRAPE_DEADLINE) : undefined;
+    if (deadlineSignal) setMaxListeners(providers.length + 1, deadlineSignal);
 
     const results = await Promise.all(
         providers.map(async (provider) => {
             const providerName = provider.name;
+            const trace = debug ? createProviderTrace(providerName) : null;
+            const startTime = Date.now();
+            let data;
+            let status;
+
+            // Providers that keep failing are skipped until their breaker lets a trial through
+            if (getBreaker(providerName).canRequest()) {
+                data = await runProvider(provider, deadlineSignal, trace);
+                recordProviderResult(providerName, data);
+                metrics.recordProviderRun(
+                    providerName,
+                    isSuccessfulResult(data),
+                    Date.now() - startTime
+                );
+                status = isSuccessfulResult(data) ? 'success' : 'failed';
+            } else {
+                data = new ErrorObject(
+                    'CIRCUIT_OPEN: Provider skipped after repeated failures',
+                    providerName,
+                    503,
+                    'The circuit breaker is open. See GET /admin/providers for when it retries.',
+                    true,
+                    false
+                );
+                status = 'skipped';
+            }
 
             try {
-                return {
-                    data: await provider.fn(),
-                    provider: providerName
-                };
+                report(providerName, data);
             } catch (e) {
-                return { data: null, provider: providerName };
+                // A failing listener must never break the scrape itself
+            }
+
+            if (trace) {
+                Object.assign(trace, {
+                    status,
+                    durationMs: Date.now() - startTime,
+                    files: isSuccessfulResult(data)
+                        ? getResultFiles(data).filter(isValidFile).length
+                        : 0
+                });
             }
+            return { data, provider: providerName, trace };
         })
     );
 
     const files = results
-        .filter(
-            ({ data }) =>
-                data && !(data instanceof Error || data instanceof ErrorObject)
-        )
-        .flatMap(({ data }) =>
-            Array.isArray(data.files) ? data.files : [data.files]
+        .filter(({ data }) => isSuccessfulResult(data))
+        .flatMap(({ data, provider }) =>
+            getResultFiles(data)
+                .filter(isValidFile)
+                .map((file) => normalizeFile(file, provider))
         )
         .filter(
             (file, index, self) =>
-                file &&
-                file.file &&
-                typeof file.file === 'string' &&
-                file.file.includes('https://') &&
                 self.findIndex((f) => f.file === file.file) === index
         );
 
     const subtitles = results
-        .filter(
-            ({ data }) =>
-                data && !(data instanceof Error || data instanceof ErrorObject)
-        )
-        .flatMap(({ data }) => data.subtitles)
+        .filter(({ data }) => isSuccessfulResult(data))
+        .flatMap(({ data, provider }) => getResultSubtitles(data, provider))
         .filter(
             (sub, index, self) =>
-                sub.url && self.findIndex((s) => s.url === sub.url) === index
+                self.findIndex((s) => s.url === sub.url) === index
         );
-    // Here comes the big boy to loook for nothing okay here you go
-    // We need finalResult coz you can't cache what doesn't exist yet - lowkey just consolidating the return logic
-    // Build it once, cache it, return it - way cleaner than scattered returns everywhere
 
-    let finalResult;
-    if (shouldDebug) {
-        results
-            .filter(
-                ({ data }) =>
-                    data instanceof Error || data instanceof ErrorObject
-            )
-            .forEach(({ data }) => {
-                if (data instanceof ErrorObject) console.error(data.toString());
-                else console.error(data);
-            });
+    if (debug) {
+        // Debug results are never cached, they only go back to the client that asked
+        const errors = results
+            .filter(({ data }) => !isSuccessfulResult(data))
+            .map(({ data, provider }) => getResultError(provider, data));
+        const trace = results.map(({ trace }) => trace);
 
-        let errors = results
-            .filter(
-                ({ data }) =>
-                    data instanceof Error || data instanceof ErrorObject
-            )
-            .map(({ data }) => data);
+        return { files, subtitles, errors, trace };
+    }
+
+    const finalResult = { files, subtitles };
 
-        finalResult = { files, subtitles, errors };
-    } else {
-        finalResult = { files, subtitles };
+    // Results without streams are cached too, but only briefly so the title is retried soon.
+    // A failed refresh never replaces a stale result that still has streams
+    const negative = files.length === 0;
+    const previous = negative
+        ? await getFromCache(cacheKey, { count: false })
+        : undefined;
+    if (!previous || previous.negative) {
+        await setToCache(
+            cacheKey,
+            finalResult,
+            results
+                .filter(({ data }) => isSuccessfulResult(data))
+                .map(({ provider }) => provider),
+            { negative }
+        );
     }
 
-    // Only cache if we actually found some streams and we're not bypassing cache
-    if (files.length > 0 && !shouldDebug) {
-        setToCache(cacheKey, finalResult);
-        if (shouldDebug) {
-            console.log(
-                `[CACHE] Cached result for ${cacheKey}, next request will be much faster`
-            );
+    return finalResult;
+}
+
+/**
+ * Picks the file with the highest known quality, ties go to the better ranked file
+ */
+function getBestFile(files) {
+    return rankFiles(files, 'quality').reduce(
+        (best, file) =>
+            !best || (file.quality || 0) > (best.quality || 0) ? file : best,
+        undefined
+    );
+}
+
+/**
+ * Checks whether the media has any playable source, without a full scrape.
+ * A cached full scrape answers right away. Otherwise the providers run one at a time in priority
+ * order until one of them returns a valid file. Nothing is cached, the probe result is not a full result.
+ *
+ * @param {Object} media - The media object returned by the TMDB helpers.
+ * @param {Object} [options]
+ * @param {Object} [options.filter] - Which providers may run, see scrapeMedia. Subtitle providers never run.
+ * @returns {Promise<{available: boolean, provider: string|null, quality: string|null, cached: boolean}>}
+ * The provider that has the title and the best quality it offers.
+ */
+export async function probeMedia(media, { filter = {} } = {}) {
+    // A full scrape with or without subtitles knows the answer already
+    for (const subtitles of [undefined, false]) {
+        const cached = await getFromCache(
+            getCacheKey(media, { ...filter, subtitles })
+        );
+        if (cached) {
+            const best = getBestFile(cached.data.files);
+            return {
+                available: Boolean(best),
+                provider: best?.provider || null,
+                quality: best?.quality || null,
+                cached: true
+            };
         }
-    } else if (shouldDebug) {
-        console.log(
-            `[CACHE] Not caching result for ${cacheKey} - cache is bypassed for debugging`
+    }
+
+    const deadlineSignal =
+        SCRAPE_DEADLINE > 0 ? AbortSignal.timeout(SCRAPE_DEADLINE) : undefined;
+
+    for (const provider of getProviders(media, {
+        ...filter,
+        subtitles: false
+    })) {
+        if (deadlineSignal?.aborted) break;
+        if (!getBreaker(provider.name).canRequest()) continue;
+
+        const startTime = Date.now();
+        const data = await runProvider(provider, deadlineSignal);
+        recordProviderResult(provider.name, data);
+        metrics.recordProviderRun(
+            provider.name,
+            isSuccessfulResult(data),
+            Date.now() - startTime
         );
+        if (!isSuccessfulResult(data)) continue;
+
+        const files = getResultFiles(data)
+            .filter(isValidFile)
+            .map((file) => normalizeFile(file, provider.name));
+        if (files.length > 0) {
+            return {
+                available: true,
+                provider: provider.name,
+                quality: getBestFile(files).quality || null,
+                cached: false
+            };
+        }
     }
 
-    return finalResult;
+    return { available: false, provider: null, quality: null, cached: false };
+}
+
+/**
+ * Scrapes every episode of a season, at most SEASON_SCRAPE_CONCURRENCY at a time.
+ * Each episode goes through scrapeMedia, so it uses and fills its normal per-episode cache entry.
+ *
+ * @param {Object} season - The season object returned by getSeasonFromTmdb.
+ * @param {Object} [options] - Passed on to scrapeMedia for every episode, except `onProviderResult`.
+ * @param {Function} [options.onEpisodeResult] - Called once per episode as soon as it is done with
+ * `{ media, result, error }`, in completion order.
+ * @returns {Promise<Array<{media: Object, result: Object|null, error: ErrorObject|null}>>} One entry per episode, in episode order.
+ */
+export async function scrapeSeason(
+    season,
+    { onEpisodeResult, onProviderResult, ...options } = {}
+) {
+    return mapWithConcurrency(
+        season.episodes,
+        SEASON_SCRAPE_CONCURRENCY,
+        async (media) => {
+            let episode;
+            try {
+                const result = await scrapeMedia(media, options);
+                episode = { media, result, error: null };
+            } catch (e) {
+                episode = {
+                    media,
+                    result: null,
+                    error: new ErrorObject(
+                        'An error occurred while scraping the episode: ' +
+                            e.message,
+                        'backend',
+                        500,
+                        undefined,
+                        true,
+                        true
+                    )
+                };
+            }
+            onEpisodeResult?.(episode);
+            return episode;
+        }
+    );
 }
 
-export default { scrapeMedia };
+export default { scrapeMedia, scrapeSeason, probeMedia };
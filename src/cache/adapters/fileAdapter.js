@@ -0,0 +1,121 @@
+/**
+ * On-disk cache adapter
+ * One JSON file per key under <dir>/<namespace>, so the cache survives restarts of the container
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { serialize, deserialize } from './serializer.js';
+
+const SWEEP_INTERVAL = 10 * 60 * 1000; // Expired files are removed every 10 minutes
+
+/**
+ * @param {string} namespace - Sub-directory of this cache.
+ * @param {Object} options
+ * @param {string} options.dir - Root directory of all file caches.
+ */
+export function createFileAdapter(namespace, { dir }) {
+    const root = path.resolve(dir, namespace);
+
+    const fileFor = (key) =>
+        path.join(
+            root,
+            `${crypto.createHash('sha1').update(key).digest('hex')}.json`
+        );
+
+    // Reads a stored entry, removing it if it has expired
+    const readEntry = async (file) => {
+        try {
+            const entry = deserialize(await fs.readFile(file, 'utf8'));
+            if (entry.expiresAt <= Date.now()) {
+                await fs.rm(file, { force: true });
+                return undefined;
+            }
+            return entry;
+        } catch (error) {
+            return undefined;
+        }
+    };
+
+    const listFiles = async () => {
+        try {
+            return (await fs.readdir(root))
+                .filter((name) => name.endsWith('.json'))
+                .map((name) => path.join(root, name));
+        } catch (error) {
+            return [];
+        }
+    };
+
+    const sweep = async () => {
+        for (const file of await listFiles()) {
+            await readEntry(file);
+        }
+    };
+    const sweepTimer = setInterval(sweep, SWEEP_INTERVAL);
+    sweepTimer.unref();
+
+    return {
+        name: 'file',
+
+        async get(key) {
+            const entry = await readEntry(fileFor(key));
+            return entry?.value;
+        },
+
+        async set(key, value, ttlSeconds) {
+            const file = fileFor(key);
+            // Write to a temporary file first so readers never see half an entry
+            const temporary = `${file}.${process.pid}.${Date.now()}.tmp`;
+            try {
+                await fs.mkdir(root, { recursive: true });
+                await fs.writeFile(
+                    temporary,
+                    serialize({
+                        key,
+                        value,
+                        expiresAt: Date.now() + ttlSeconds * 1000
+                    })
+                );
+                await fs.rename(temporary, file);
+                return true;
+            } catch (error) {
+                await fs.rm(temporary, { force: true }).catch(() => {});
+                return false;
+            }
+        },
+
+        async del(keys) {
+            let deleted = 0;
+            for (const key of [].concat(keys)) {
+                try {
+                    await fs.rm(fileFor(key));
+                    deleted++;
+                } catch (error) {
+                    // Not cached
+                }
+            }
+            return deleted;
+        },
+
+        async keys() {
+            const keys = [];
+            for (const file of await listFiles()) {
+                const entry = await readEntry(file);
+                if (entry) keys.push(entry.key);
+            }
+            return keys;
+        },
+
+        async flush() {
+            for (const file of await listFiles()) {
+                await fs.rm(file, { force: true });
+            }
+        },
+
+        async close() {
+            clearInterval(sweepTimer);
+        }
+    };
+}
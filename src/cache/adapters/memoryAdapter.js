@@ -0,0 +1,76 @@
+/**
+ * In-memory cache adapter
+ * Lost on restart and not shared between replicas, but needs no setup
+ */
+
+import NodeCache from 'node-cache';
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.maxKeys] - New keys are dropped once this many are stored.
+ * @param {boolean} [options.evict] - Once maxKeys is reached, drop the least recently used keys instead.
+ */
+export function createMemoryAdapter({ maxKeys, evict = false } = {}) {
+    const cache = new NodeCache({
+        checkperiod: 60,
+        maxKeys: maxKeys || -1,
+        useClones: false // Better performance
+    });
+
+    // Keys from least to most recently used, only tracked when the store evicts
+    const recent = evict && maxKeys ? new Map() : null;
+    const touch = (key) => {
+        if (!recent) return;
+        recent.delete(key);
+        recent.set(key, true);
+    };
+    if (recent) {
+        cache.on('del', (key) => recent.delete(key));
+        cache.on('expired', (key) => recent.delete(key));
+        cache.on('flush', () => recent.clear());
+    }
+
+    return {
+        name: 'memory',
+
+        async get(key) {
+            const value = cache.get(key);
+            if (value !== undefined) touch(key);
+            return value;
+        },
+
+        async set(key, value, ttlSeconds) {
+            if (recent) {
+                // NodeCache refuses every set once full, even updates
+                cache.del(key);
+                while (cache.getStats().keys >= maxKeys && recent.size > 0) {
+                    cache.del(recent.keys().next().value);
+                }
+            }
+            try {
+                const stored = cache.set(key, value, ttlSeconds);
+                touch(key);
+                return stored;
+            } catch (error) {
+                // ECACHEFULL once maxKeys is reached
+                return false;
+            }
+        },
+
+        async del(keys) {
+            return cache.del(keys);
+        },
+
+        async keys() {
+            return cache.keys();
+        },
+
+        async flush() {
+            cache.flushAll();
+        },
+
+        async close() {
+            cache.close();
+        }
+    };
+}
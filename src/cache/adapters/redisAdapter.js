@@ -0,0 +1,291 @@
+/**
+ * Redis cache adapter
+ * Talks plain RESP over a socket, so it works with Redis and anything that speaks its protocol
+ * (Valkey, KeyDB, Dragonfly, a local stand-in) without an extra dependency.
+ * Cache errors never fail a request: reads miss and writes are dropped while Redis is unreachable.
+ */
+
+import net from 'net';
+import { serialize, deserialize } from './serializer.js';
+
+const COMMAND_TIMEOUT = 2000; // ms, a hanging Redis must not hang the API
+const ERROR_LOG_INTERVAL = 60000; // Log an unreachable Redis at most once a minute
+const KEY_PREFIX = 'cinepro';
+
+class RedisReplyError extends Error {}
+
+/**
+ * Encodes a command as a RESP array of bulk strings
+ */
+function encodeCommand(args) {
+    let command = `*${args.length}\r\n`;
+    for (const arg of args) {
+        const value = String(arg);
+        command += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+    }
+    return command;
+}
+
+/**
+ * Parses one RESP reply from the buffer
+ * @returns {{value: *, offset: number}|null} The reply and where the next one starts, or null if it is incomplete.
+ */
+function parseReply(buffer, offset) {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+        case '+':
+            return { value: line, offset: next };
+        case '-':
+            return { value: new RedisReplyError(line), offset: next };
+        case ':':
+            return { value: Number(line), offset: next };
+        case '$': {
+            const length = Number(line);
+            if (length === -1) return { value: null, offset: next };
+            if (buffer.length < next + length + 2) return null;
+            return {
+                value: buffer.toString('utf8', next, next + length),
+                offset: next + length + 2
+            };
+        }
+        case '*': {
+            const count = Number(line);
+            if (count === -1) return { value: null, offset: next };
+            const items = [];
+            let position = next;
+            for (let i = 0; i < count; i++) {
+                const item = parseReply(buffer, position);
+                if (!item) return null;
+                items.push(item.value);
+                position = item.offset;
+            }
+            return { value: items, offset: position };
+        }
+        default:
+            throw new RedisReplyError(`Unexpected RESP type "${type}"`);
+    }
+}
+
+/**
+ * Minimal pipelining Redis client. Connects lazily and reconnects on the next command after a failure.
+ */
+class RedisClient {
+    constructor(url) {
+        this.url = new URL(url);
+        this.socket = null;
+        this.pending = [];
+        this.buffer = Buffer.alloc(0);
+    }
+
+    connect() {
+        if (this.socket) return;
+
+        const socket = net.createConnection({
+            host: this.url.hostname || '127.0.0.1',
+            port: Number(this.url.port) || 6379
+        });
+        socket.setNoDelay(true);
+        socket.unref();
+        socket.on('data', (chunk) => this.onData(chunk));
+        socket.on('error', (error) => this.onClose(socket, error));
+        socket.on('close', () =>
+            this.onClose(socket, new Error('Redis connection closed'))
+        );
+        this.socket = socket;
+
+        // Authentication and database selection are queued ahead of everything else
+        if (this.url.password) {
+            const credentials = [decodeURIComponent(this.url.password)];
+            if (this.url.username) {
+                credentials.unshift(decodeURIComponent(this.url.username));
+            }
+            this.send(['AUTH', ...credentials]).catch(() => {});
+        }
+        const database = this.url.pathname.slice(1);
+        if (database) {
+            this.send(['SELECT', database]).catch(() => {});
+        }
+    }
+
+    command(...args) {
+        this.connect();
+        return this.send(args);
+    }
+
+    send(args) {
+        return new Promise((resolve, reject) => {
+            const entry = { resolve, reject, settled: false };
+            entry.timer = setTimeout(
+                () => settle(entry, new Error('Redis command timed out'), true),
+                COMMAND_TIMEOUT
+            );
+            this.pending.push(entry);
+            this.socket.write(encodeCommand(args));
+        });
+    }
+
+    onData(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        let offset = 0;
+        let reply;
+        try {
+            while (
+                offset < this.buffer.length &&
+                (reply = parseReply(this.buffer, offset))
+            ) {
+                offset = reply.offset;
+                const entry = this.pending.shift();
+                // Replies come back in order, timed out commands still take their slot
+                if (entry) settle(entry, reply.value, false);
+            }
+        } catch (error) {
+            // Not speaking RESP, start over with a fresh connection
+            this.onClose(this.socket, error);
+            return;
+        }
+        this.buffer = this.buffer.subarray(offset);
+    }
+
+    onClose(socket, error) {
+        if (this.socket !== socket) return;
+
+        socket.destroy();
+        this.socket = null;
+        this.buffer = Buffer.alloc(0);
+        const pending = this.pending;
+        this.pending = [];
+        pending.forEach((entry) => settle(entry, error, true));
+    }
+
+    close() {
+        this.socket?.end();
+    }
+}
+
+function settle(entry, value, failed) {
+    if (entry.settled) return;
+    entry.settled = true;
+    clearTimeout(entry.timer);
+    if (failed || value instanceof Error) {
+        entry.reject(value);
+    } else {
+        entry.resolve(value);
+    }
+}
+
+// One connection per Redis URL, shared by every namespace
+const clients = new Map();
+let lastErrorLog = 0;
+
+function getClient(url) {
+    if (!clients.has(url)) {
+        clients.set(url, new RedisClient(url));
+    }
+    return clients.get(url);
+}
+
+function logError(error) {
+    if (Date.now() - lastErrorLog < ERROR_LOG_INTERVAL) return;
+    lastErrorLog = Date.now();
+    console.error(`[cache] Redis unavailable: ${error.message}`);
+}
+
+/**
+ * @param {string} namespace - Keys are stored as cinepro:<namespace>:<key>.
+ * @param {Object} options
+ * @param {string} options.url - e.g. redis://:password@localhost:6379/0
+ */
+export function createRedisAdapter(namespace, { url }) {
+    const client = getClient(url);
+    const prefix = `${KEY_PREFIX}:${namespace}:`;
+
+    const scanKeys = async () => {
+        const keys = [];
+        let cursor = '0';
+        do {
+            const [nextCursor, batch] = await client.command(
+                'SCAN',
+                cursor,
+                'MATCH',
+                `${prefix}*`,
+                'COUNT',
+                200
+            );
+            cursor = nextCursor;
+            keys.push(...batch);
+        } while (cursor !== '0');
+        return keys;
+    };
+
+    return {
+        name: 'redis',
+
+        async get(key) {
+            try {
+                const value = await client.command('GET', prefix + key);
+                return value === null ? undefined : deserialize(value);
+            } catch (error) {
+                logError(error);
+                return undefined;
+            }
+        },
+
+        async set(key, value, ttlSeconds) {
+            try {
+                await client.command(
+                    'SET',
+                    prefix + key,
+                    serialize(value),
+                    'PX',
+                    Math.max(1, Math.round(ttlSeconds * 1000))
+                );
+                return true;
+            } catch (error) {
+                logError(error);
+                return false;
+            }
+        },
+
+        async del(keys) {
+            const list = [].concat(keys).map((key) => prefix + key);
+            if (list.length === 0) return 0;
+            try {
+                return await client.command('DEL', ...list);
+            } catch (error) {
+                logError(error);
+                return 0;
+            }
+        },
+
+        async keys() {
+            try {
+                return (await scanKeys()).map((key) =>
+                    key.slice(prefix.length)
+                );
+            } catch (error) {
+                logError(error);
+                return [];
+            }
+        },
+
+        async flush() {
+            try {
+                const keys = await scanKeys();
+                if (keys.length > 0) await client.command('DEL', ...keys);
+            } catch (error) {
+                logError(error);
+            }
+        },
+
+        async close() {
+            client.close();
+        }
+    };
+}
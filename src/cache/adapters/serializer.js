@@ -0,0 +1,22 @@
+/**
+ * Value encoding for the persistent cache adapters
+ * JSON, with Buffers (cached segments) stored as base64 instead of byte arrays
+ */
+
+export function serialize(value) {
+    return JSON.stringify(value, function (key, current) {
+        const original = this[key];
+        if (Buffer.isBuffer(original)) {
+            return { __buffer: original.toString('base64') };
+        }
+        return current;
+    });
+}
+
+export function deserialize(text) {
+    return JSON.parse(text, (key, value) =>
+        value && typeof value.__buffer === 'string'
+            ? Buffer.from(value.__buffer, 'base64')
+            : value
+    );
+}
@@ -1,28 +1,218 @@
-import NodeCache from 'node-cache';
+import { createCacheStore } from './store.js';
+import { getEarliestExpiry, isFileAlive } from './urlExpiry.js';
+import { matchesPattern } from './keyPattern.js';
+
+// How long scrape results live, in seconds
+// fresh: served as is, stale: served while a background scrape refreshes it, negative: results without files
+export const CACHE_CONFIG = {
+    ttl: Number(process.env.CACHE_TTL_SECONDS) || 10800, // 3 hours
+    staleTtl:
+        process.env.CACHE_STALE_SECONDS !== undefined
+            ? Number(process.env.CACHE_STALE_SECONDS) || 0
+            : 3600, // 1 hour
+    negativeTtl: Number(process.env.CACHE_NEGATIVE_TTL_SECONDS) || 300, // 5 minutes
+    expiryMargin: Number(process.env.CACHE_EXPIRY_MARGIN_SECONDS) || 300 // Signed links are dropped 5 minutes before they expire
+};
 
 // Here comes the big boy to loook for nothing okay here you go if you do something you better do it right
-// Setting up cache for 3 hours because lowkey's attention span is short
-const cache = new NodeCache({ stdTTL: 10800, checkperiod: 600 });
+// Entries are kept until the end of their stale window. Each one carries its own lifetime and the
+// providers that contributed to it, so a provider's results can be dropped
+const cache = createCacheStore('scrape');
+
+// Counted here because the backends differ in what they track
+const stats = { hits: 0, misses: 0 };
 
-export function getCacheKey(media) {
+export function getCacheKey(media, filter = {}) {
     // TV shows need season and episode info, movies just need the basic ID
-    if (media.type === 'tv') {
-        return `${media.type}_${media.tmdb}_${media.season}_${media.episode}`;
+    const key =
+        media.type === 'tv'
+            ? `${media.type}_${media.tmdb}_${media.season}_${media.episode}`
+            : `${media.type}_${media.tmdb}`;
+
+    // Filtered scrapes get their own entry so they never stand in for the full result
+    const parts = [];
+    if (filter.providers?.length) {
+        parts.push(`only=${[...filter.providers].sort().join(',')}`);
+    }
+    if (filter.exclude?.length) {
+        parts.push(`exclude=${[...filter.exclude].sort().join(',')}`);
     }
-    return `${media.type}_${media.tmdb}`;
+    if (filter.subtitles === false) {
+        parts.push('nosubs');
+    }
+    return parts.length ? `${key}|${parts.join('|')}` : key;
 }
 
-export function getFromCache(key) {
-    // Simple wrapper to grab stuff from cache
-    return cache.get(key);
+/**
+ * Describes the lifetime of a stored entry
+ */
+function describeEntry(entry) {
+    const freshUntil = entry.storedAt + entry.ttl * 1000;
+    return {
+        storedAt: new Date(entry.storedAt).toISOString(),
+        ageSeconds: Math.floor((Date.now() - entry.storedAt) / 1000),
+        ttlRemainingSeconds: Math.max(
+            0,
+            Math.floor((freshUntil - Date.now()) / 1000)
+        ),
+        expiresAt: new Date(freshUntil).toISOString(),
+        staleUntil: new Date(freshUntil + entry.staleTtl * 1000).toISOString(),
+        stale: Date.now() >= freshUntil,
+        negative: entry.negative,
+        linksExpireAt: entry.linksExpireAt
+            ? new Date(entry.linksExpireAt).toISOString()
+            : null
+    };
 }
 
-export function setToCache(key, data) {
+/**
+ * Reads a scrape result together with its lifetime, undefined once every file's link ran out
+ * @param {string} key - The cache key from getCacheKey.
+ * @param {Object} [options]
+ * @param {boolean} [options.count] - `false` for internal lookups that should not show up as hits or misses.
+ */
+export async function getFromCache(key, { count = true } = {}) {
+    // Grab the entry together with whether it is past its fresh TTL
+    const entry = await cache.get(key);
+
+    // Files whose signed link ran out are dropped, the rest of the result is still good.
+    // Once every file is gone the entry counts as a miss
+    const files = entry?.data.files?.filter((file) =>
+        isFileAlive(file, CACHE_CONFIG.expiryMargin)
+    );
+    if (!entry || (!entry.negative && files?.length === 0)) {
+        if (count) stats.misses++;
+        return undefined;
+    }
+    if (count) stats.hits++;
+    return { data: { ...entry.data, files }, ...describeEntry(entry) };
+}
+
+/**
+ * Stores a scrape result
+ * @param {string} key - The cache key from getCacheKey.
+ * @param {Object} data - The result to store.
+ * @param {Array<string>} [providers] - Providers that contributed to the result.
+ * @param {Object} [options]
+ * @param {boolean} [options.negative] - The result has no files. Kept for CACHE_CONFIG.negativeTtl without a stale window.
+ * @param {number} [options.ttl] - Fresh TTL in seconds, defaults to CACHE_CONFIG.ttl.
+ * Shortened to the earliest expiry found in the file URLs, minus CACHE_CONFIG.expiryMargin.
+ */
+export async function setToCache(key, data, providers = [], options = {}) {
     // Store the scraped data so we don't have to fetch it again
-    return cache.set(key, data);
+    const negative = Boolean(options.negative);
+    const linksExpireAt = negative ? null : getEarliestExpiry(data.files);
+    let ttl = negative
+        ? CACHE_CONFIG.negativeTtl
+        : options.ttl || CACHE_CONFIG.ttl;
+    if (linksExpireAt) {
+        const untilExpiry = Math.floor(
+            (linksExpireAt - Date.now()) / 1000 - CACHE_CONFIG.expiryMargin
+        );
+        ttl = Math.max(1, Math.min(ttl, untilExpiry));
+    }
+    const staleTtl = negative ? 0 : CACHE_CONFIG.staleTtl;
+
+    return cache.set(
+        key,
+        {
+            data,
+            storedAt: Date.now(),
+            ttl,
+            staleTtl,
+            negative,
+            providers,
+            linksExpireAt
+        },
+        ttl + staleTtl
+    );
+}
+
+/**
+ * Reads every stored entry, skipping keys that expired in the meantime
+ */
+async function getAllEntries() {
+    const entries = [];
+    for (const key of await cache.keys()) {
+        const entry = await cache.get(key);
+        if (entry) entries.push({ key, entry });
+    }
+    return entries;
+}
+
+export async function invalidateProvider(providerName) {
+    // Drop every cached result this provider contributed to, and every negative result since
+    // the provider might find what was missing. Returns how many were dropped
+    const keys = (await getAllEntries())
+        .filter(
+            ({ entry }) =>
+                entry.providers.includes(providerName) || entry.negative
+        )
+        .map(({ key }) => key);
+    return cache.del(keys);
+}
+
+export async function getCacheEntries(pattern, { offset = 0, limit } = {}) {
+    // Lifetime metadata of the entries matching a pattern, one page at a time, for the admin routes.
+    // Keys are filtered and paged before any entry is read
+    const keys = (await cache.keys())
+        .filter((key) => !pattern || matchesPattern(key, pattern))
+        .sort();
+    const page = keys.slice(
+        offset,
+        limit === undefined ? undefined : offset + limit
+    );
+
+    const entries = [];
+    for (const key of page) {
+        const entry = await cache.get(key);
+        if (!entry) continue;
+        entries.push({
+            key,
+            ...describeEntry(entry),
+            providers: entry.providers,
+            files: entry.data.files?.length || 0
+        });
+    }
+    return { total: keys.length, entries };
+}
+
+export async function inspectCacheEntry(key) {
+    // The stored result exactly as it is, expired files included, or undefined
+    const entry = await cache.get(key);
+    if (!entry) return undefined;
+    return {
+        key,
+        ...describeEntry(entry),
+        providers: entry.providers,
+        data: entry.data
+    };
+}
+
+export async function deleteFromCache(pattern) {
+    // Drops one key, or every key matching a pattern like tv_1399_*. Returns how many were dropped
+    const keys =
+        pattern.includes('*') || pattern.includes('?')
+            ? (await cache.keys()).filter((key) => matchesPattern(key, pattern))
+            : [pattern];
+    return cache.del(keys);
+}
+
+export async function flushCache() {
+    // Drops every scrape result, returns how many there were
+    const count = (await cache.keys()).length;
+    await cache.flush();
+    return count;
 }
 
-export function getCacheStats() {
-    // Useful for debugging and seeing how well our cache is performing
-    return cache.getStats();
+export async function getCacheStats() {
+    // Useful for debugging and seeing how well our cache is performing.
+    // Only the memory backend counts its keys here, the file and Redis backends would have to
+    // read every file or SCAN the whole keyspace, so they report null and leave it to GET /admin/cache
+    return {
+        backend: cache.name,
+        hits: stats.hits,
+        misses: stats.misses,
+        keys: cache.name === 'memory' ? (await cache.keys()).length : null
+    };
 }
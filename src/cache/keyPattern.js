@@ -0,0 +1,16 @@
+/**
+ * Glob-style key patterns for the cache admin routes
+ * `*` matches any run of characters and `?` a single one, e.g. `tv_1399_*` for every episode of a show
+ */
+
+export function matchesPattern(key, pattern) {
+    const source = pattern
+        .split('')
+        .map((char) => {
+            if (char === '*') return '.*';
+            if (char === '?') return '.';
+            return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+    return new RegExp(`^${source}$`).test(key);
+}
@@ -0,0 +1,49 @@
+/**
+ * Cache store factory
+ * Every cache (scrape results, playlists, segments) is created here, with the backend picked by CACHE_BACKEND:
+ *
+ * memory -> in-process, lost on restart (default)
+ * file   -> JSON files under CACHE_DIR, survives restarts
+ * redis  -> shared between replicas, REDIS_URL
+ *
+ * All stores share the same async interface: get, set(key, value, ttlSeconds), del(keys), keys, flush and close.
+ */
+
+import { createMemoryAdapter } from './adapters/memoryAdapter.js';
+import { createFileAdapter } from './adapters/fileAdapter.js';
+import { createRedisAdapter } from './adapters/redisAdapter.js';
+
+const BACKENDS = ['memory', 'file', 'redis'];
+
+export const CACHE_BACKEND = BACKENDS.includes(process.env.CACHE_BACKEND)
+    ? process.env.CACHE_BACKEND
+    : 'memory';
+
+if (process.env.CACHE_BACKEND && CACHE_BACKEND !== process.env.CACHE_BACKEND) {
+    console.warn(
+        `[cache] Unknown CACHE_BACKEND "${process.env.CACHE_BACKEND}", falling back to memory`
+    );
+}
+
+/**
+ * Creates a cache store on the configured backend
+ * @param {string} namespace - Keeps the keys of different caches apart.
+ * @param {Object} [options]
+ * @param {number} [options.maxKeys] - Upper bound for the memory backend.
+ * @param {boolean} [options.evict] - Let the memory backend drop its least recently used keys once full.
+ * @returns {Object} The store.
+ */
+export function createCacheStore(namespace, { maxKeys, evict } = {}) {
+    switch (CACHE_BACKEND) {
+        case 'file':
+            return createFileAdapter(namespace, {
+                dir: process.env.CACHE_DIR || './.cache'
+            });
+        case 'redis':
+            return createRedisAdapter(namespace, {
+                url: process.env.REDIS_URL || 'redis://127.0.0.1:6379'
+            });
+        default:
+            return createMemoryAdapter({ maxKeys, evict });
+    }
+}
@@ -0,0 +1,90 @@
+/**
+ * Expiry hints in signed stream URLs
+ * Many providers hand out links with an expiring token. Reading the expiry lets the cache
+ * stop serving a link before the CDN starts answering 403.
+ */
+
+// Query parameters that carry an expiry timestamp
+const EXPIRY_PARAMS = ['expires', 'expire', 'expiry', 'e', 'exp', 'x-expires'];
+
+// Anything outside this range is not a timestamp (e.g. `e=1` meaning episode 1)
+const MIN_TIMESTAMP = Date.UTC(2015, 0, 1);
+const MAX_AHEAD = 10 * 365 * 24 * 60 * 60 * 1000; // 10 years
+
+/**
+ * Turns a unix timestamp in seconds or milliseconds into milliseconds, if it is plausible
+ */
+function toTimestamp(value) {
+    if (!/^\d{9,13}$/.test(String(value))) return null;
+    const number = Number(value);
+    const ms = number < 1e12 ? number * 1000 : number;
+    return ms >= MIN_TIMESTAMP && ms <= Date.now() + MAX_AHEAD ? ms : null;
+}
+
+/**
+ * Reads the `exp` claim of a JWT
+ */
+function getJwtExpiry(token) {
+    const parts = token.split('.');
+    if (parts.length !== 3 || !parts[0].startsWith('eyJ')) return null;
+    try {
+        const payload = JSON.parse(
+            Buffer.from(parts[1], 'base64url').toString('utf8')
+        );
+        return toTimestamp(payload.exp);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Finds the expiry of a URL from its query parameters, JWTs in its path or query,
+ * and URLs nested in its query (links wrapped in another proxy).
+ * @param {string} url - The stream URL.
+ * @returns {number|null} Expiry in milliseconds since the epoch, or null if the URL has no hint.
+ */
+export function getUrlExpiry(url, depth = 0) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return null;
+    }
+
+    const expiries = [];
+    for (const [name, value] of parsed.searchParams) {
+        if (EXPIRY_PARAMS.includes(name.toLowerCase())) {
+            expiries.push(toTimestamp(value));
+        }
+        expiries.push(getJwtExpiry(value));
+        if (depth < 2 && /^https?:\/\//i.test(value)) {
+            expiries.push(getUrlExpiry(value, depth + 1));
+        }
+    }
+    for (const segment of parsed.pathname.split('/')) {
+        expiries.push(getJwtExpiry(segment));
+    }
+
+    const valid = expiries.filter((expiry) => expiry !== null);
+    return valid.length > 0 ? Math.min(...valid) : null;
+}
+
+/**
+ * Gets the earliest expiry of a list of files
+ * @param {Array<Object>} files - Files with a `file` URL.
+ * @returns {number|null} Expiry in milliseconds since the epoch, or null if no file has a hint.
+ */
+export function getEarliestExpiry(files) {
+    const expiries = files
+        .map((file) => getUrlExpiry(file.file))
+        .filter((expiry) => expiry !== null);
+    return expiries.length > 0 ? Math.min(...expiries) : null;
+}
+
+/**
+ * Checks if a file's URL is still usable for at least `marginSeconds`
+ */
+export function isFileAlive(file, marginSeconds = 0) {
+    const expiry = getUrlExpiry(file.file);
+    return expiry === null || expiry - marginSeconds * 1000 > Date.now();
+}
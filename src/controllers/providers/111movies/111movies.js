@@ -33,7 +33,7 @@ function customEncode(input) {
     return result;
 }
 
-export async function get111Movies(params) {
+export async function get111Movies(params, signal) {
     const { tmdb, imdb, season, episode } = params;
 
     let pageUrl;
@@ -50,7 +50,7 @@ export async function get111Movies(params) {
 
     try {
         // Fetch page
-        const res = await axios.get(pageUrl, { headers });
+        const res = await axios.get(pageUrl, { headers, signal });
         const responseText = res.data;
 
         const match = responseText.match(/{\"data\":\"(.*?)\"/);
@@ -87,13 +87,17 @@ export async function get111Movies(params) {
             '7ae59bfb/zac/g/APA912UWa5x0rMiGGcNeljgP7t8jA2Rt6lmnqqlv9r-5R9IjA_kbxjGxmWzw23y5WukwjDEAX0UDWlcUeJD-buSc0fwrRH8zieg0PuZJpqXbhUUCMuQCFS1zVPhlSHTkCyDHyolJ-9tBOOGgmIMKsVJRKAHG66Z44BMb9vWN6ByRjF-8vD6v1u1';
         const apiServers = `${DOMAIN}/${staticPath}/${encodedFinal}/sr`;
 
-        const serversRes = await axios.post(apiServers, {}, { headers });
+        const serversRes = await axios.post(
+            apiServers,
+            {},
+            { headers, signal }
+        );
         const servers = serversRes.data;
 
         const server = servers[Math.floor(Math.random() * servers.length)].data;
         const apiStream = `${DOMAIN}/${staticPath}/${server}`;
 
-        const streamRes = await axios.post(apiStream, {}, { headers });
+        const streamRes = await axios.post(apiStream, {}, { headers, signal });
 
         return {
             files: {
@@ -0,0 +1,15 @@
+import { get111Movies } from './111movies.js';
+
+// Provider manifest, discovered at startup by src/utils/providerRegistry.js
+export default {
+    name: 'get111Movies',
+    fn: get111Movies,
+    mediaTypes: ['movie', 'tv'],
+    requires: ['tmdb'],
+    enabled: true,
+    priority: 30,
+    hosts: ['111movies.com'],
+    headers: {
+        Referer: 'https://111movies.com'
+    }
+};
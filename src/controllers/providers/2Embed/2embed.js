@@ -1,6 +1,6 @@
 import fetch from 'node-fetch';
 import { ErrorObject } from '../../../helpers/ErrorObject.js';
-import { extract } from '../../../utils/Extractor.js';
+import { extract, getExtractorName } from '../../../utils/Extractor.js';
 import * as cheerio from 'cheerio';
 import JsUnpacker from '../../../utils/jsunpack.js';
 
@@ -25,7 +25,7 @@ function parseQuality(qualityString) {
     return numMatch ? parseInt(numMatch[1], 10) : 0;
 }
 
-export async function getTwoEmbed(params) {
+export async function getTwoEmbed(params, signal) {
     const { tmdb, season, episode } = params;
     const url =
         season && episode
@@ -40,7 +40,8 @@ export async function getTwoEmbed(params) {
                 'Content-Type': 'application/x-www-form-urlencoded',
                 'User-Agent': headers['User-Agent']
             },
-            body: 'pls=pls'
+            body: 'pls=pls',
+            signal
         });
 
         if (!response.ok) {
@@ -76,10 +77,8 @@ export async function getTwoEmbed(params) {
         subtitles = [];
 
         if (isSwishId) {
-            const streamUrl = await extract(
-                `${PLAYER_URL}/e/${extractedValue}`,
-                DOMAIN
-            );
+            const embedUrl = `${PLAYER_URL}/e/${extractedValue}`;
+            const streamUrl = await extract(embedUrl, DOMAIN, signal);
             if (streamUrl instanceof ErrorObject || !streamUrl) {
                 if (streamUrl instanceof ErrorObject) {
                     return streamUrl;
@@ -101,6 +100,7 @@ export async function getTwoEmbed(params) {
                     file: streamUrl,
                     type: 'hls',
                     lang: 'en',
+                    extractor: getExtractorName(embedUrl),
                     headers: {
                         Referer: extractedValue
                     }
@@ -111,7 +111,8 @@ export async function getTwoEmbed(params) {
             const listPageResponse = await fetch(extractedValue, {
                 headers: {
                     Referer: url
-                }
+                },
+                signal
             });
 
             if (!listPageResponse.ok) {
@@ -161,7 +162,11 @@ export async function getTwoEmbed(params) {
                     const player4uId = idMatch[1];
                     const resolveUrl = `${PLAYER_URL}/e/${player4uId}`;
 
-                    const streamUrl = await resolve(resolveUrl, extractedValue);
+                    const streamUrl = await resolve(
+                        resolveUrl,
+                        extractedValue,
+                        signal
+                    );
                     if (!streamUrl) {
                         return new ErrorObject(
                             `Could not resolve stream URL for player4u ID: ${player4uId}`,
@@ -217,13 +222,14 @@ export async function getTwoEmbed(params) {
     }
 }
 
-async function resolve(url, referer) {
+async function resolve(url, referer, signal) {
     try {
         const response = await fetch(url, {
             headers: {
                 Referer: referer,
                 'User-Agent': headers['User-Agent']
-            }
+            },
+            signal
         });
 
         if (!response.ok) {
@@ -0,0 +1,13 @@
+import { getTwoEmbed } from './2embed.js';
+
+// Provider manifest, discovered at startup by src/utils/providerRegistry.js
+export default {
+    name: 'getTwoEmbed',
+    fn: getTwoEmbed,
+    mediaTypes: ['movie', 'tv'],
+    requires: ['tmdb'],
+    enabled: true,
+    priority: 10,
+    hosts: ['2embed.cc', 'uqloads.xyz'],
+    headers: {}
+};
@@ -14,7 +14,7 @@ const headers = {
 const numberOfServers = 15;
 
 // Main function to get AutoEmbed data
-export async function getAutoembed(media) {
+export async function getAutoembed(media, signal) {
     let { tmdb, season, episode, type } = media;
     const url =
         type === 'tv'
@@ -46,7 +46,8 @@ export async function getAutoembed(media) {
             const serverUrl = `${url}&sr=${i}`;
             const response = await fetch(serverUrl, {
                 method: 'GET',
-                headers: headers
+                headers: headers,
+                signal
             });
             if (!response.ok) {
                 continue;
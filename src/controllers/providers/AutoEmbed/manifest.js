@@ -0,0 +1,16 @@
+import { getAutoembed } from './autoembed.js';
+
+// Provider manifest, discovered at startup by src/utils/providerRegistry.js
+export default {
+    name: 'getAutoembed',
+    fn: getAutoembed,
+    mediaTypes: ['movie', 'tv'],
+    requires: ['tmdb'],
+    enabled: true,
+    priority: 20,
+    hosts: ['vidsrc.co', 'autoembed.cc'],
+    headers: {
+        Referer: 'https://player.vidsrc.co/',
+        Origin: 'https://player.vidsrc.co/'
+    }
+};
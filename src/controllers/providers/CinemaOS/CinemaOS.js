@@ -12,22 +12,24 @@ const headers = {
     'User-Agent': USER_AGENT
 };
 
-export async function getCinemaOS(params) {
+export async function getCinemaOS(params, signal) {
     const { tmdb } = params;
 
     try {
         // 1. Auth token
         const authApi = `${BASE_URL}/api/auth`;
-        const authInit = (await axios.get(authApi, { headers })).data;
-        const authToken = (await axios.post(authApi, authInit, { headers }))
-            .data.token;
+        const authInit = (await axios.get(authApi, { headers, signal })).data;
+        const authToken = (
+            await axios.post(authApi, authInit, { headers, signal })
+        ).data.token;
 
         headers['Authorization'] = `Bearer ${authToken}`;
 
         // 2. Get movie metadata
         const downloadData = (
             await axios.get(
-                `${BASE_URL}/api/downloadLinks?type=movie&tmdbId=${tmdb}`
+                `${BASE_URL}/api/downloadLinks?type=movie&tmdbId=${tmdb}`,
+                { signal }
             )
         ).data.data[0];
 
@@ -41,7 +43,7 @@ export async function getCinemaOS(params) {
                 `${BASE_URL}/api/cinemaos?type=movie&tmdbId=${tmdb}&imdbId=${imdbId}&t=${encodeURIComponent(
                     title
                 )}&ry=${releaseYear}`,
-                { headers }
+                { headers, signal }
             )
         ).data.data;
 
@@ -0,0 +1,16 @@
+import { getCinemaOS } from './CinemaOS.js';
+
+// Provider manifest, discovered at startup by src/utils/providerRegistry.js
+export default {
+    name: 'getCinemaOS',
+    fn: getCinemaOS,
+    mediaTypes: ['movie'],
+    requires: ['tmdb'],
+    enabled: true, // Only builds movie URLs for now
+    priority: 70,
+    hosts: ['cinemaos.live'],
+    headers: {
+        Referer: 'https://cinemaos.live',
+        Origin: 'https://cinemaos.live'
+    }
+};
@@ -59,13 +59,13 @@ function decodeHunter(h, u, n, t, e, r = '') {
     return decodeURIComponent(r);
 }
 
-export async function getMultiembed(params) {
+export async function getMultiembed(params, signal) {
     const { imdb } = params;
     let baseUrl = `https://multiembed.mov/?video_id=${imdb}`;
 
     try {
         if (baseUrl.includes('multiembed')) {
-            const resolved = await axios.get(baseUrl, { headers });
+            const resolved = await axios.get(baseUrl, { headers, signal });
             baseUrl = resolved.request.res.responseUrl || baseUrl;
         }
 
@@ -78,7 +78,8 @@ export async function getMultiembed(params) {
         };
 
         const resp1 = await axios.post(baseUrl, new URLSearchParams(data), {
-            headers
+            headers,
+            signal
         });
         const tokenMatch = resp1.data.match(/load_sources\(\"(.*?)\"\)/);
         if (!tokenMatch) throw new Error('Token not found');
@@ -87,7 +88,7 @@ export async function getMultiembed(params) {
         const resp2 = await axios.post(
             'https://streamingnow.mov/response.php',
             new URLSearchParams({ token }),
-            { headers }
+            { headers, signal }
         );
         const $ = cheerio.load(resp2.data);
 
@@ -106,7 +107,7 @@ export async function getMultiembed(params) {
         const videoId = vipSource.attr('data-id');
 
         const vipUrl = `https://streamingnow.mov/playvideo.php?video_id=${videoId}&server_id=${serverId}&token=${token}&init=1`;
-        const resp3 = await axios.get(vipUrl, { headers });
+        const resp3 = await axios.get(vipUrl, { headers, signal });
         const $2 = cheerio.load(resp3.data);
         let iframeUrl = $2('iframe.source-frame.show').attr('src');
 
@@ -121,7 +122,7 @@ export async function getMultiembed(params) {
             );
         }
 
-        const resp4 = await axios.get(iframeUrl, { headers });
+        const resp4 = await axios.get(iframeUrl, { headers, signal });
 
         // Try hunter pack first
         const hunterMatch = resp4.data.match(
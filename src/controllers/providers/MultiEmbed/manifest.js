@@ -0,0 +1,15 @@
+import { getMultiembed } from './MultiEmbed.js';
+
+// Provider manifest, discovered at startup by src/utils/providerRegistry.js
+export default {
+    name: 'getMultiembed',
+    fn: getMultiembed,
+    mediaTypes: ['movie', 'tv'],
+    requires: ['imdb'],
+    enabled: true,
+    priority: 80,
+    hosts: ['multiembed.mov', 'streamingnow.mov'],
+    headers: {
+        Referer: 'https://multiembed.mov'
+    }
+};
@@ -0,0 +1,13 @@
+import { getPrimewire } from './primewire.js';
+
+// Provider manifest, discovered at startup by src/utils/providerRegistry.js
+export default {
+    name: 'getPrimewire',
+    fn: getPrimewire,
+    mediaTypes: ['movie', 'tv'],
+    requires: ['imdb'],
+    enabled: false, // NEED TO FIX
+    priority: 120,
+    hosts: ['primewire.tf'],
+    headers: {}
+};
@@ -2,7 +2,7 @@ import axios from 'axios';
 import * as cheerio from 'cheerio';
 import * as crypto from 'crypto';
 import fetch from 'node-fetch';
-import { extract } from '../../../utils/Extractor.js';
+import { extract, getExtractorName } from '../../../utils/Extractor.js';
 import { ErrorObject } from '../../../helpers/ErrorObject.js';
 
 const URL = 'https://www.primewire.tf';
@@ -13,7 +13,7 @@ const DS_KEY = 'JyjId97F9PVqUPuMO0';
 // blow fisher library but it did not work...
 // then looked on to the script of the primewire
 
-export async function getPrimewire(media) {
+export async function getPrimewire(media, signal) {
     if (!media.imdb) {
         return new ErrorObject(
             'Primewire requires an IMDB ID',
@@ -25,23 +25,23 @@ export async function getPrimewire(media) {
         );
     }
 
-    const link = await lookupPage(media);
+    const link = await lookupPage(media, signal);
     if (link instanceof ErrorObject) {
         return link;
     }
 
-    const servers = await loadServers(link);
+    const servers = await loadServers(link, signal);
     if (servers instanceof ErrorObject) {
         return servers;
     }
 
     const embeddableServers = await Promise.all(
         servers.map(async (server, i) => {
-            const result = await extract(server);
+            const result = await extract(server, '', signal);
             if (result instanceof ErrorObject) {
                 return result;
             }
-            return result;
+            return { ...result, extractor: getExtractorName(server) };
         })
     );
 
@@ -51,6 +51,7 @@ export async function getPrimewire(media) {
             file: embedLink.file,
             type: embedLink.type,
             lang: 'en',
+            extractor: embedLink.extractor,
             ...(embedLink.headers && { headers: embedLink.headers })
         }));
 
@@ -60,13 +61,14 @@ export async function getPrimewire(media) {
     };
 }
 
-async function lookupPage(info) {
+async function lookupPage(info, signal) {
     const imdbId = info.imdb;
     const ds = sha1Hex(`${imdbId}${DS_KEY}`).slice(0, 10);
 
     try {
         const response = await axios.get(`${URL}/filter`, {
-            params: { s: imdbId, ds }
+            params: { s: imdbId, ds },
+            signal
         });
         const $ = cheerio.load(response.data);
         const originalLink = $(
@@ -100,9 +102,9 @@ async function lookupPage(info) {
     }
 }
 
-async function loadServers(link) {
+async function loadServers(link, signal) {
     try {
-        let website = await fetch(link);
+        let website = await fetch(link, { signal });
         website = await website.text();
 
         const $ = cheerio.load(website);
@@ -126,7 +128,7 @@ async function loadServers(link) {
         const embeds = [];
         for (const item of urls) {
             try {
-                embeds.push(await fromPrimewireToProvider(item));
+                embeds.push(await fromPrimewireToProvider(item, signal));
             } catch (err) {
                 throw err;
             }
@@ -815,8 +817,8 @@ function sha1Hex(str) {
     return crypto.createHash('sha1').update(str).digest('hex');
 }
 
-async function fromPrimewireToProvider(primwireObject) {
-    const response = await axios.get(primwireObject.url);
+async function fromPrimewireToProvider(primwireObject, signal) {
+    const response = await axios.get(primwireObject.url, { signal });
 
     let javascriptfile = response.data.match(
         /<script async type="text\/javascript" src="\/js\/app-(.+?)\">/
@@ -825,7 +827,8 @@ async function fromPrimewireToProvider(primwireObject) {
         javascriptfile = javascriptfile[1];
 
         const jsfiledata = await axios.get(
-            `https://primewire.tf/js/app-${javascriptfile}`
+            `https://primewire.tf/js/app-${javascriptfile}`,
+            { signal }
         );
         let token = jsfiledata.data.match(
             /return Object\(r\.useEffect\)\(\(function\(\)\{var t,n;t="(.+?)"/
@@ -835,7 +838,8 @@ async function fromPrimewireToProvider(primwireObject) {
         }
 
         let mediaobject = await axios.get(
-            `https://primewire.tf/links/go/${primwireObject.idx}?token=${token}&embed=true`
+            `https://primewire.tf/links/go/${primwireObject.idx}?token=${token}&embed=true`,
+            { signal }
         );
 
         return mediaobject.data.link;
@@ -3,7 +3,7 @@ import { ErrorObject } from '../../../helpers/ErrorObject.js';
 
 const DOMAIN = 'https://vidrock.net';
 
-export async function getVidRock(media) {
+export async function getVidRock(media, signal) {
     const link = getLink(media);
 
     try {
@@ -13,7 +13,8 @@ export async function getVidRock(media) {
                 Origin: DOMAIN,
                 'User-Agent':
                     'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/58.0.3029.110 Safari/537.3'
-            }
+            },
+            signal
         });
 
         if (!sources.ok) {
@@ -0,0 +1,16 @@
+import { getVidRock } from './Vidrock.js';
+
+// Provider manifest, discovered at startup by src/utils/providerRegistry.js
+export default {
+    name: 'getVidrock',
+    fn: getVidRock,
+    mediaTypes: ['movie', 'tv'],
+    requires: ['tmdb'],
+    enabled: true,
+    priority: 60,
+    hosts: ['vidrock.net'],
+    headers: {
+        Referer: 'https://vidrock.net',
+        Origin: 'https://vidrock.net'
+    }
+};
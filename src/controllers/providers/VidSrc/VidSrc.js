@@ -17,12 +17,12 @@ const PARAMS_RE =
     /<div id="(?<id>[^"]+)" style="display:none;">(?<content>[^>]+)<\/div>/;
 const FILE_RE = /player_parent.*?file:.*?'(.*?)'.*?cuid/;
 
-export async function getVidSrc(media) {
+export async function getVidSrc(media, signal) {
     const url = media.episode
         ? `${URI}/embed/tv/${media.imdb}/${media.season}-${media.episode}`
         : `${URI}/embed/movie/${media.imdb}`;
 
-    const client = axios.create();
+    const client = axios.create({ signal });
 
     try {
         const iframeHtml1 = (await client.get(url)).data;
@@ -82,7 +82,8 @@ export async function getVidSrc(media) {
                         Referer: secondUrl,
                         'User-Agent':
                             'Mozilla/5.0 (Windows NT 10.0; Win64; x64)'
-                    }
+                    },
+                    signal
                 });
                 iframeHtml3 = response.body;
             } catch (cfErr) {
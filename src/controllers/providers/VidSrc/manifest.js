@@ -0,0 +1,13 @@
+import { getVidSrc } from './VidSrc.js';
+
+// Provider manifest, discovered at startup by src/utils/providerRegistry.js
+export default {
+    name: 'getVidSrc',
+    fn: getVidSrc,
+    mediaTypes: ['movie', 'tv'],
+    requires: ['imdb'],
+    enabled: true,
+    priority: 50,
+    hosts: ['vidsrc.xyz', 'cloudnestra.com'],
+    headers: {}
+};
@@ -0,0 +1,16 @@
+import { getVidSrcCC } from './vidsrccc.js';
+
+// Provider manifest, discovered at startup by src/utils/providerRegistry.js
+export default {
+    name: 'getVidSrcCC',
+    fn: getVidSrcCC,
+    mediaTypes: ['movie', 'tv'],
+    requires: ['tmdb'],
+    enabled: true,
+    priority: 40,
+    hosts: ['vidsrc.cc'],
+    headers: {
+        Referer: 'https://vidsrc.cc/',
+        Origin: 'https://vidsrc.cc'
+    }
+};
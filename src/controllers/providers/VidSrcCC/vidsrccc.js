@@ -9,7 +9,7 @@ function logDebugInfo(step, data) {
     console.log(`[VidSrcCC Debug] ${step}:`, data);
 }
 
-export async function getVidSrcCC(media) {
+export async function getVidSrcCC(media, signal) {
     // You may still need to handle the Cloudflare clearance token logic
     // fetch the embed page to extract userId
     const embedUrl =
@@ -23,7 +23,8 @@ export async function getVidSrcCC(media) {
                 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36',
             Referer: 'https://vidsrc.cc/',
             Origin: 'https://vidsrc.cc'
-        }
+        },
+        signal
     });
     const embedHtml = await embedResponse.text();
 
@@ -75,7 +76,7 @@ export async function getVidSrcCC(media) {
         Origin: origin
     };
 
-    let firstResponse = await fetch(firstUrl, { headers });
+    let firstResponse = await fetch(firstUrl, { headers, signal });
 
     if (firstResponse.status !== 200) {
         return new ErrorObject(
@@ -98,7 +99,7 @@ export async function getVidSrcCC(media) {
 
     for (let hash of hashes) {
         let secondUrl = `${DOMAIN}source/${hash}?opensubtitles=true`;
-        let secondResponse = await fetch(secondUrl, { headers });
+        let secondResponse = await fetch(secondUrl, { headers, signal });
         if (!secondResponse.ok) {
             return new ErrorObject(
                 'Failed to fetch second response',
@@ -9,7 +9,7 @@ const headers = {
         'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/87.0.4280.88 Safari/537.36'
 };
 
-export async function getVidsrcWtf(media) {
+export async function getVidsrcWtf(media, signal) {
     let url;
     if (media.type === 'movie') {
         url = `${API_DOMAIN}/movie/${media.tmdb}`;
@@ -19,7 +19,8 @@ export async function getVidsrcWtf(media) {
 
     const response = await fetch(url, {
         method: 'GET',
-        headers: headers
+        headers: headers,
+        signal
     });
 
     if (!response.ok) {
@@ -0,0 +1,16 @@
+import { getVidsrcWtf } from './VidSrcWtf.js';
+
+// Provider manifest, discovered at startup by src/utils/providerRegistry.js
+export default {
+    name: 'getVidsrcWtf',
+    fn: getVidsrcWtf,
+    mediaTypes: ['movie', 'tv'],
+    requires: ['tmdb'],
+    enabled: true,
+    priority: 90,
+    hosts: ['vidsrc.wtf', 'rgshows.me'],
+    headers: {
+        Referer: 'https://vidsrc.wtf',
+        Origin: 'https://vidsrc.wtf'
+    }
+};
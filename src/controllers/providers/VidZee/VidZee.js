@@ -3,7 +3,7 @@ import { ErrorObject } from '../../../helpers/ErrorObject.js';
 const DOMAIN = 'https://player.vidzee.wtf/';
 const API_DOMAIN = 'https://player.vidzee.wtf/api';
 
-export async function getVidZee(media) {
+export async function getVidZee(media, signal) {
     const srValues = [1, 2];
 
     // build correct embed referer depending on type
@@ -39,7 +39,8 @@ export async function getVidZee(media) {
         try {
             const response = await fetch(url, {
                 method: 'GET',
-                headers: headers
+                headers: headers,
+                signal
             });
 
             if (!response.ok) {
@@ -0,0 +1,16 @@
+import { getVidZee } from './VidZee.js';
+
+// Provider manifest, discovered at startup by src/utils/providerRegistry.js
+export default {
+    name: 'getVidZee',
+    fn: getVidZee,
+    mediaTypes: ['movie', 'tv'],
+    requires: ['tmdb'],
+    enabled: true, // It acts like it is down sometimes and throws 520 or 524
+    priority: 100,
+    hosts: ['vidzee.wtf'],
+    headers: {
+        Referer: 'https://player.vidzee.wtf/',
+        Origin: 'https://player.vidzee.wtf/'
+    }
+};
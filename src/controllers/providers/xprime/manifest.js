@@ -0,0 +1,16 @@
+import { getXprime } from './xprime.js';
+
+// Provider manifest, discovered at startup by src/utils/providerRegistry.js
+export default {
+    name: 'getXprime',
+    fn: getXprime,
+    mediaTypes: ['movie', 'tv'],
+    requires: ['tmdb'],
+    enabled: false, // NEED TO FIX
+    priority: 110,
+    hosts: ['xprime.tv'],
+    headers: {
+        Referer: 'https://xprime.tv/',
+        Origin: 'https://xprime.tv/'
+    }
+};
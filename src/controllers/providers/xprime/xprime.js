@@ -4,14 +4,15 @@ import { languageMap } from '../../../utils/languages.js';
 const DOMAIN = 'https://xprime.tv/';
 const BACKEND_DOMAIN = 'https://backend.xprime.tv/';
 
-export async function getXprime(media) {
+export async function getXprime(media, signal) {
     try {
         let status = await fetch(BACKEND_DOMAIN + 'servers', {
             headers: {
                 Accept: '*/*',
                 Referer: DOMAIN + 'watch/' + media.tmdb,
                 Origin: DOMAIN
-            }
+            },
+            signal
         });
 
         if (status.status !== 200) {
@@ -47,15 +48,21 @@ export async function getXprime(media) {
         for (let server of goodServers) {
             switch (server.name.toLowerCase()) {
                 case 'phoenix':
-                    await doPhoenixStuff(media, files, subtitles, errors);
+                    await doPhoenixStuff(
+                        media,
+                        files,
+                        subtitles,
+                        errors,
+                        signal
+                    );
                     break;
 
                 case 'primenet':
-                    doPrimenetStuff(media, files, subtitles, errors);
+                    doPrimenetStuff(media, files, subtitles, errors, signal);
                     break;
 
                 case 'primebox':
-                    doPrimeboxStuff(media, files, subtitles, errors);
+                    doPrimeboxStuff(media, files, subtitles, errors, signal);
                     break;
 
                 case 'kraken':
@@ -112,7 +119,7 @@ export async function getXprime(media) {
     }
 }
 
-async function doPhoenixStuff(media, files, subtitles, errors) {
+async function doPhoenixStuff(media, files, subtitles, errors, signal) {
     let url;
 
     if (media.type === 'movie') {
@@ -126,7 +133,8 @@ async function doPhoenixStuff(media, files, subtitles, errors) {
             Accept: '*/*',
             Referer: DOMAIN + 'watch/' + media.tmdb,
             Origin: DOMAIN
-        }
+        },
+        signal
     });
     if (data.status !== 200) {
         errors.push(
@@ -143,7 +151,7 @@ async function doPhoenixStuff(media, files, subtitles, errors) {
     // TODO: I did not find a working pheonix response to map to. Will have to try later again.
 }
 
-async function doPrimenetStuff(media, files, subtitles, errors) {
+async function doPrimenetStuff(media, files, subtitles, errors, signal) {
     let url;
 
     if (media.type === 'movie') {
@@ -157,7 +165,8 @@ async function doPrimenetStuff(media, files, subtitles, errors) {
             Accept: '*/*',
             Referer: DOMAIN + 'watch/' + media.tmdb,
             Origin: DOMAIN
-        }
+        },
+        signal
     });
 
     if (data.status !== 200) {
@@ -188,7 +197,7 @@ async function doPrimenetStuff(media, files, subtitles, errors) {
     }
 }
 
-async function doPrimeboxStuff(media, files, subtitles, errors) {
+async function doPrimeboxStuff(media, files, subtitles, errors, signal) {
     let url;
 
     if (media.type === 'movie') {
@@ -202,7 +211,8 @@ async function doPrimeboxStuff(media, files, subtitles, errors) {
             Accept: '*/*',
             Referer: DOMAIN + 'watch/' + media.tmdb,
             Origin: DOMAIN
-        }
+        },
+        signal
     });
 
     if (data.status !== 200) {
@@ -1,4 +1,4 @@
-export async function getLibre(media) {
+export async function getLibre(media, signal) {
     const DOMAIN = `https://libre-subs.fifthwit.net/search?id=${media.tmdb}`;
 
     let url;
@@ -7,7 +7,7 @@ export async function getLibre(media) {
     } else {
         url = `${DOMAIN}&season=${media.season}&episode=${media.episode}`;
     }
-    let request = await fetch(url);
+    let request = await fetch(url, { signal });
 
     let subtitlesWithNerdyAmountOfInformation = await request.json();
 
@@ -0,0 +1,26 @@
+import { getWyzie } from './wyzie.js';
+import { getLibre } from './libresubs.js';
+
+// Subtitle provider manifests, discovered at startup by src/utils/providerRegistry.js
+export default [
+    {
+        name: 'getWyzie',
+        fn: getWyzie,
+        mediaTypes: ['movie', 'tv'],
+        requires: ['tmdb'],
+        enabled: true,
+        priority: 200,
+        kind: 'subtitles',
+        headers: {}
+    },
+    {
+        name: 'getLibre',
+        fn: getLibre,
+        mediaTypes: ['movie', 'tv'],
+        requires: ['tmdb'],
+        enabled: true,
+        priority: 210,
+        kind: 'subtitles',
+        headers: {}
+    }
+];
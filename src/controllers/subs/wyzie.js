@@ -1,14 +1,25 @@
-import { searchSubtitles } from 'wyzie-lib';
+// Same endpoint wyzie-lib's searchSubtitles uses, called directly so the request can be aborted
+const DOMAIN = 'https://sub.wyzie.ru';
 
-export async function getWyzie(media) {
-    let subtitlesWithNerdyAmountOfInformation = await searchSubtitles({
-        tmdb_id: media.tmdb,
-        imdb_id: media.imdb,
+export async function getWyzie(media, signal) {
+    const url = new URL(`${DOMAIN}/search`);
+    const params = {
+        id: String(media.tmdb || media.imdb),
         season: media.season,
         episode: media.episode,
         title: media.title,
         year: media.year
-    });
+    };
+    for (const [key, value] of Object.entries(params)) {
+        if (value !== undefined) url.searchParams.append(key, String(value));
+    }
+
+    let request = await fetch(url, { signal });
+    if (!request.ok) {
+        throw new Error(`Error fetching subtitles: HTTP ${request.status}`);
+    }
+
+    let subtitlesWithNerdyAmountOfInformation = await request.json();
 
     return {
         files: [],
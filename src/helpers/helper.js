@@ -12,6 +12,20 @@ export function checkIfPossibleTmdbId(text) {
     return regex.test(text);
 }
 
+/**
+ * @description Check if the given text could be a valid IMDb ID.
+ * @param text {string} The text to check.
+ * @returns {boolean} True if the text could be a valid IMDb ID, false otherwise.
+ *
+ * @example
+ * // checkIfPossibleImdbId("tt0944947"); // true
+ * // checkIfPossibleImdbId("0944947"); // false
+ */
+export function checkIfPossibleImdbId(text) {
+    let regex = /^tt[0-9]{5,10}$/;
+    return regex.test(text);
+}
+
 /**
  * @description Handle error response.
  * @param res {Response} The response object.
@@ -20,3 +34,29 @@ export function checkIfPossibleTmdbId(text) {
 export function handleErrorResponse(res, errorObject) {
     res.status(errorObject._responseCode).json(errorObject.toJSON());
 }
+
+/**
+ * @description Run an async worker over a list with at most `limit` calls in flight.
+ * @param items {Array} The items to process.
+ * @param limit {number} Maximum number of concurrent calls.
+ * @param worker {Function} Called with (item, index), may return a promise.
+ * @returns {Promise<Array>} The results in the order of `items`.
+ *
+ * @example
+ * // await mapWithConcurrency([1, 2, 3], 2, async (n) => n * 2); // [2, 4, 6]
+ */
+export async function mapWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+    const runners = Array.from(
+        { length: Math.max(1, Math.min(limit, items.length)) },
+        async () => {
+            while (next < items.length) {
+                const index = next++;
+                results[index] = await worker(items[index], index);
+            }
+        }
+    );
+    await Promise.all(runners);
+    return results;
+}
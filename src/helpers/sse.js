@@ -0,0 +1,24 @@
+/**
+ * @description Prepare a response for Server-Sent Events and send the headers right away.
+ * @param res {Response} The response object.
+ */
+export function openEventStream(res) {
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    // Stop nginx and friends from buffering the stream
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
+}
+
+/**
+ * @description Write a single Server-Sent Event. Does nothing once the connection is closed.
+ * @param res {Response} The response object.
+ * @param event {string} The event name.
+ * @param data {Object} The payload, serialized as JSON.
+ */
+export function sendEvent(res, event, data) {
+    if (res.writableEnded || res.destroyed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
@@ -5,6 +5,17 @@ import { ErrorObject } from './ErrorObject.js';
 dotenv.config();
 const apiKey = process.env.TMDB_API_KEY;
 
+// Every TMDB request goes through this, so it can be swapped out to run without network
+let tmdbFetch = (...args) => fetch(...args);
+
+/**
+ * Replaces the fetch used for TMDB requests, e.g. with a stub returning canned responses
+ * @param {Function} [fetchImpl] - A fetch compatible function. Omit it to restore the global fetch.
+ */
+export function setTmdbFetch(fetchImpl) {
+    tmdbFetch = fetchImpl || ((...args) => fetch(...args));
+}
+
 /**
  * Fetches movie information from TMDB API using the movie ID
  * @param {string|number} tmdb_id - The TMDB ID of the movie
@@ -19,7 +30,7 @@ const apiKey = process.env.TMDB_API_KEY;
 export async function getMovieFromTmdb(tmdb_id) {
     try {
         const url = `https://api.themoviedb.org/3/movie/${tmdb_id}?api_key=${apiKey}`;
-        const response = await fetch(url);
+        const response = await tmdbFetch(url);
         if (response.status !== 200) {
             return new ErrorObject(
                 strings.INVALID_MOVIE_ID,
@@ -42,7 +53,7 @@ export async function getMovieFromTmdb(tmdb_id) {
             );
         }
 
-        let secondData = await fetch(
+        let secondData = await tmdbFetch(
             `https://api.themoviedb.org/3/movie/${tmdb_id}/external_ids?api_key=${apiKey}`
         );
         if (secondData.status !== 200) {
@@ -95,7 +106,7 @@ export async function getMovieFromTmdb(tmdb_id) {
 export async function getTvFromTmdb(tmdb_id, season, episode) {
     try {
         const url = `https://api.themoviedb.org/3/tv/${tmdb_id}/season/${season}/episode/${episode}?api_key=${apiKey}&append_to_response=external_ids`;
-        const response = await fetch(url);
+        const response = await tmdbFetch(url);
         if (response.status !== 200) {
             return new ErrorObject(
                 strings.INVALID_TV_ID,
@@ -117,7 +128,7 @@ export async function getTvFromTmdb(tmdb_id, season, episode) {
                 false
             );
         }
-        let secondData = await fetch(
+        let secondData = await tmdbFetch(
             `https://api.themoviedb.org/3/tv/${tmdb_id}?api_key=${apiKey}`
         );
         if (secondData.status !== 200) {
@@ -133,7 +144,7 @@ export async function getTvFromTmdb(tmdb_id, season, episode) {
         secondData = await secondData.json();
         let title = secondData.name;
 
-        let thirdData = await fetch(
+        let thirdData = await tmdbFetch(
             `https://api.themoviedb.org/3/tv/${tmdb_id}/external_ids?api_key=${apiKey}`
         );
         if (thirdData.status !== 200) {
@@ -169,3 +180,339 @@ export async function getTvFromTmdb(tmdb_id, season, episode) {
         );
     }
 }
+
+/**
+ * Reads pages of a TMDB list endpoint until `limit` results are collected
+ */
+async function getTmdbList(path, limit) {
+    const results = [];
+    for (let page = 1; results.length < limit; page++) {
+        const response = await tmdbFetch(
+            `https://api.themoviedb.org/3/${path}?api_key=${apiKey}&page=${page}`
+        );
+        if (response.status !== 200) {
+            throw new Error(`TMDB answered ${response.status} for ${path}`);
+        }
+        const data = await response.json();
+        results.push(...(data.results || []));
+        if (page >= (data.total_pages || 1)) break;
+    }
+    return results.slice(0, limit);
+}
+
+/**
+ * Fetches the TV shows airing today from TMDB
+ * @param {number} [limit=20] - Maximum number of shows
+ * @returns {Promise<Array<Object>|ErrorObject>} List of shows or Error if the request fails
+ * @property {string} type - Always "tv"
+ * @property {number} tmdb - TMDB ID of the show
+ * @property {string} name - Name of the show
+ */
+export async function getAiringTodayFromTmdb(limit = 20) {
+    try {
+        const shows = await getTmdbList('tv/airing_today', limit);
+        return shows.map((show) => ({
+            type: 'tv',
+            tmdb: show.id,
+            name: show.name
+        }));
+    } catch (e) {
+        return new ErrorObject(
+            'An error occurred' + e,
+            'backend',
+            500,
+            undefined,
+            true,
+            true
+        );
+    }
+}
+
+/**
+ * Fetches the trending movies and TV shows from TMDB
+ * @param {number} [limit=20] - Maximum number of titles
+ * @param {string} [timeWindow='day'] - "day" or "week"
+ * @returns {Promise<Array<Object>|ErrorObject>} List of titles or Error if the request fails
+ * @property {string} type - "movie" or "tv"
+ * @property {number} tmdb - TMDB ID of the title
+ * @property {string} name - Title of the movie or name of the show
+ */
+export async function getTrendingFromTmdb(limit = 20, timeWindow = 'day') {
+    try {
+        const titles = await getTmdbList(`trending/all/${timeWindow}`, limit);
+        return titles
+            .filter(
+                (title) =>
+                    title.media_type === 'movie' || title.media_type === 'tv'
+            )
+            .map((title) => ({
+                type: title.media_type,
+                tmdb: title.id,
+                name: title.title || title.name
+            }));
+    } catch (e) {
+        return new ErrorObject(
+            'An error occurred' + e,
+            'backend',
+            500,
+            undefined,
+            true,
+            true
+        );
+    }
+}
+
+/**
+ * Fetches the most recently aired episode of a TV show from TMDB
+ * @param {string|number} tmdb_id - The TMDB ID of the TV show
+ * @returns {Promise<Object|ErrorObject>} Season and episode number or Error if the show has no aired episode
+ * @property {number} season - Season number
+ * @property {number} episode - Episode number
+ */
+export async function getLatestEpisodeFromTmdb(tmdb_id) {
+    try {
+        const response = await tmdbFetch(
+            `https://api.themoviedb.org/3/tv/${tmdb_id}?api_key=${apiKey}`
+        );
+        if (response.status !== 200) {
+            return new ErrorObject(
+                strings.INVALID_TV_ID,
+                'user',
+                404,
+                strings.INVALID_TV_ID_HINT,
+                true,
+                false
+            );
+        }
+        const data = await response.json();
+        if (!data.last_episode_to_air) {
+            return new ErrorObject(
+                'This show has not aired an episode yet.',
+                'user',
+                405,
+                undefined,
+                true,
+                false
+            );
+        }
+        return {
+            season: data.last_episode_to_air.season_number,
+            episode: data.last_episode_to_air.episode_number
+        };
+    } catch (e) {
+        return new ErrorObject(
+            'An error occurred' + e,
+            'backend',
+            500,
+            undefined,
+            true,
+            true
+        );
+    }
+}
+
+/**
+ * Fetches a whole season of a TV show from TMDB, with one media object per aired episode
+ * @param {string|number} tmdb_id - The TMDB ID of the TV show
+ * @param {string|number} season - Season number
+ * @returns {Promise<Object|ErrorObject>} Object containing the season or Error if any part of the request fails
+ * @property {string} name - Name of the show
+ * @property {string|number} tmdb - TMDB ID of the show
+ * @property {string} imdb - IMDB ID of the show
+ * @property {string|number} season - Season number
+ * @property {number} episodeCount - Number of episodes, aired or not
+ * @property {Array<Object>} episodes - The aired episodes, each shaped like the result of getTvFromTmdb
+ */
+export async function getSeasonFromTmdb(tmdb_id, season) {
+    try {
+        const urls = [
+            `https://api.themoviedb.org/3/tv/${tmdb_id}/season/${season}?api_key=${apiKey}`,
+            `https://api.themoviedb.org/3/tv/${tmdb_id}?api_key=${apiKey}`,
+            `https://api.themoviedb.org/3/tv/${tmdb_id}/external_ids?api_key=${apiKey}`
+        ];
+        const responses = await Promise.all(urls.map((url) => tmdbFetch(url)));
+        if (responses.some((response) => response.status !== 200)) {
+            return new ErrorObject(
+                strings.INVALID_TV_ID,
+                'user',
+                404,
+                strings.INVALID_TV_ID_HINT,
+                true,
+                false
+            );
+        }
+        const [data, show, externalIds] = await Promise.all(
+            responses.map((response) => response.json())
+        );
+
+        const aired = (data.episodes || []).filter(
+            (episode) =>
+                episode.air_date &&
+                new Date(episode.air_date) <= new Date().getTime()
+        );
+        if (aired.length === 0) {
+            return new ErrorObject(
+                'This season has not been released yet.',
+                'user',
+                405,
+                undefined,
+                true,
+                false
+            );
+        }
+
+        return {
+            name: show.name,
+            tmdb: tmdb_id,
+            imdb: externalIds.imdb_id,
+            season: season,
+            episodeCount: (data.episodes || []).length,
+            episodes: aired.map((episode) => ({
+                type: 'tv',
+                name: show.name,
+                releaseYear: episode.air_date.split('-')[0],
+                tmdb: tmdb_id,
+                imdb: externalIds.imdb_id,
+                season: season,
+                episode: episode.episode_number,
+                episodeName: episode.name
+            }))
+        };
+    } catch (e) {
+        return new ErrorObject(
+            'An error occurred' + e,
+            'backend',
+            500,
+            undefined,
+            true,
+            true
+        );
+    }
+}
+
+/**
+ * Finds the TMDB ID for an IMDb ID through TMDB's find API
+ * @param {string} imdb_id - The IMDb ID, e.g. "tt0944947"
+ * @param {string} type - "movie" or "tv"
+ * @returns {Promise<Object|ErrorObject>} Object containing the TMDB ID or Error if nothing was found
+ * @property {number} tmdb - TMDB ID of the movie or TV show
+ * @property {number} [season] - Season number, only when the IMDb ID belongs to an episode
+ * @property {number} [episode] - Episode number, only when the IMDb ID belongs to an episode
+ */
+export async function findTmdbIdByImdb(imdb_id, type) {
+    const notFound =
+        type === 'movie'
+            ? new ErrorObject(
+                  strings.INVALID_MOVIE_ID,
+                  'user',
+                  404,
+                  strings.INVALID_IMDB_ID_HINT,
+                  true,
+                  false
+              )
+            : new ErrorObject(
+                  strings.INVALID_TV_ID,
+                  'user',
+                  404,
+                  strings.INVALID_IMDB_ID_HINT,
+                  true,
+                  false
+              );
+    try {
+        const response = await tmdbFetch(
+            `https://api.themoviedb.org/3/find/${imdb_id}?api_key=${apiKey}&external_source=imdb_id`
+        );
+        if (response.status !== 200) {
+            return notFound;
+        }
+        const data = await response.json();
+
+        if (type === 'movie') {
+            const movie = data.movie_results?.[0];
+            return movie ? { tmdb: movie.id } : notFound;
+        }
+        const show = data.tv_results?.[0];
+        if (show) {
+            return { tmdb: show.id };
+        }
+        // IMDb has its own IDs for episodes, they point to the show
+        const episode = data.tv_episode_results?.[0];
+        return episode
+            ? {
+                  tmdb: episode.show_id,
+                  season: episode.season_number,
+                  episode: episode.episode_number
+              }
+            : notFound;
+    } catch (e) {
+        return new ErrorObject(
+            'An error occurred' + e,
+            'backend',
+            500,
+            undefined,
+            true,
+            true
+        );
+    }
+}
+
+/**
+ * Searches TMDB for movies and TV shows by title
+ * @param {string} query - The title to search for
+ * @param {Object} [options]
+ * @param {string|number} [options.year] - Release year (first air year for TV shows)
+ * @param {string} [options.type='all'] - "movie", "tv" or "all"
+ * @returns {Promise<Array<Object>|ErrorObject>} List of matches, most relevant first, or Error if the request fails
+ * @property {string} type - "movie" or "tv"
+ * @property {number} tmdb - TMDB ID of the title
+ * @property {string} title - Title of the movie or name of the show
+ * @property {number|null} year - Release year
+ * @property {string} overview - Short description
+ * @property {string|null} poster - URL of the poster image
+ */
+export async function searchTmdb(query, { year, type = 'all' } = {}) {
+    try {
+        const params = new URLSearchParams({ api_key: apiKey, query });
+        if (year && type === 'movie') params.set('year', year);
+        if (year && type === 'tv') params.set('first_air_date_year', year);
+        const path = type === 'all' ? 'multi' : type;
+
+        const response = await tmdbFetch(
+            `https://api.themoviedb.org/3/search/${path}?${params}`
+        );
+        if (response.status !== 200) {
+            throw new Error(`TMDB answered ${response.status}`);
+        }
+        const data = await response.json();
+
+        return (data.results || [])
+            .map((result) => ({ media_type: type, ...result }))
+            .filter(
+                (result) =>
+                    result.media_type === 'movie' || result.media_type === 'tv'
+            )
+            .map((result) => {
+                const date = result.release_date || result.first_air_date;
+                return {
+                    type: result.media_type,
+                    tmdb: result.id,
+                    title: result.title || result.name,
+                    year: date ? Number(date.split('-')[0]) : null,
+                    overview: result.overview || '',
+                    poster: result.poster_path
+                        ? `https://image.tmdb.org/t/p/w500${result.poster_path}`
+                        : null
+                };
+            })
+            .filter((result) => !year || result.year === Number(year));
+    } catch (e) {
+        return new ErrorObject(
+            'An error occurred' + e,
+            'backend',
+            500,
+            undefined,
+            true,
+            true
+        );
+    }
+}
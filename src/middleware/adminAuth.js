@@ -0,0 +1,72 @@
+/**
+ * Admin authentication middleware
+ * Protects the admin routes with the ADMIN_API_KEY env variable
+ */
+
+import crypto from 'crypto';
+import { ErrorObject } from '../helpers/ErrorObject.js';
+import { handleErrorResponse } from '../helpers/helper.js';
+
+/**
+ * Gets the key the client sent, from `Authorization: Bearer <key>` or `X-Admin-Key`
+ */
+function getProvidedKey(req) {
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) {
+        return authorization.slice('Bearer '.length).trim();
+    }
+    return req.headers['x-admin-key'] || '';
+}
+
+/**
+ * Compares two keys in constant time
+ */
+function keysMatch(provided, expected) {
+    const a = Buffer.from(String(provided));
+    const b = Buffer.from(String(expected));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Checks if the request carries the admin key
+ */
+export function isAdminRequest(req) {
+    const adminKey = process.env.ADMIN_API_KEY;
+    return Boolean(adminKey) && keysMatch(getProvidedKey(req), adminKey);
+}
+
+/**
+ * Admin middleware
+ * Rejects the request unless it carries the admin key. The admin API is off when ADMIN_API_KEY is not set.
+ */
+export function requireAdmin(req, res, next) {
+    if (!process.env.ADMIN_API_KEY) {
+        return handleErrorResponse(
+            res,
+            new ErrorObject(
+                'ADMIN_DISABLED: The admin API is disabled',
+                'admin',
+                403,
+                'Set the ADMIN_API_KEY environment variable to enable the admin routes.',
+                true,
+                false
+            )
+        );
+    }
+
+    if (!isAdminRequest(req)) {
+        return handleErrorResponse(
+            res,
+            new ErrorObject(
+                'UNAUTHORIZED: Missing or invalid admin key',
+                'admin',
+                401,
+                'Send the admin key as "Authorization: Bearer <key>" or in the X-Admin-Key header.',
+                true,
+                false
+            )
+        );
+    }
+
+    next();
+}
@@ -13,6 +13,9 @@ const THROTTLE_CONFIG = {
     cleanupInterval: 300000 // Clean up old entries every 5 minutes
 };
 
+// Routes that count as more than one request, see setRequestWeight
+const requestWeights = [];
+
 /**
  * Gets client IP from request
  */
@@ -43,6 +46,16 @@ function cleanupOldEntries() {
     }
 }
 
+/**
+ * Gets how many requests a request counts as, at least 1 and at most the limit
+ */
+function getRequestWeight(req) {
+    const entry = requestWeights.find(w => w.method === req.method && w.path === req.path);
+    if (!entry) return 1;
+    const weight = Math.ceil(Number(entry.weigh(req)) || 1);
+    return Math.min(Math.max(weight, 1), THROTTLE_CONFIG.maxRequests);
+}
+
 // Start cleanup interval
 setInterval(cleanupOldEntries, THROTTLE_CONFIG.cleanupInterval);
 
@@ -66,9 +79,12 @@ export function throttleMiddleware(req, res, next) {
     const recentTimestamps = timestamps.filter(ts => now - ts < windowMs);
     requestTimestamps.set(ip, recentTimestamps);
 
-    // Check if limit exceeded
-    if (recentTimestamps.length >= maxRequests) {
-        const retryAfter = Math.ceil((recentTimestamps[0] + windowMs - now) / 1000);
+    // Check if limit exceeded, a weighted request needs room for its whole cost
+    const weight = getRequestWeight(req);
+    if (recentTimestamps.length + weight > maxRequests) {
+        // Wait until enough of the oldest requests left the window
+        const freedBy = recentTimestamps[Math.min(recentTimestamps.length + weight - maxRequests, recentTimestamps.length) - 1];
+        const retryAfter = Math.ceil((freedBy + windowMs - now) / 1000);
         
         res.status(429).json({
             code: 'RATE_LIMIT_EXCEEDED',
@@ -79,13 +95,23 @@ export function throttleMiddleware(req, res, next) {
         return;
     }
 
-    // Add current request timestamp
-    recentTimestamps.push(now);
+    // Add current request timestamp, once per unit of weight
+    for (let i = 0; i < weight; i++) recentTimestamps.push(now);
     requestTimestamps.set(ip, recentTimestamps);
 
     next();
 }
 
+/**
+ * Makes a route count as more than one request
+ * @param {string} method - HTTP method, e.g. "POST".
+ * @param {string} path - Exact request path, e.g. "/batch".
+ * @param {Function} weigh - Gets the request (body already parsed) and returns its cost in requests.
+ */
+export function setRequestWeight(method, path, weigh) {
+    requestWeights.push({ method, path, weigh });
+}
+
 /**
  * Updates throttle configuration
  */
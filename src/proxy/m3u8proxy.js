@@ -1,13 +1,14 @@
 // M3U8 proxy function based on the working implementation
-import fetch from 'node-fetch';
+import { safeFetch } from '../utils/ssrfGuard.js';
 import { DEFAULT_USER_AGENT } from './proxyserver.js';
 import { setCorsHeaders } from './handleCors.js';
 import { getCachedPlaylist, setCachedPlaylist } from '../utils/hlsCache.js';
+import { buildProxyUrl, isSigningEnabled } from './proxyToken.js';
 
 export async function proxyM3U8(targetUrl, headers, res, serverUrl) {
     try {
         // Check cache first
-        const cachedContent = getCachedPlaylist(targetUrl);
+        const cachedContent = await getCachedPlaylist(targetUrl);
         if (cachedContent) {
             setCorsHeaders(res);
             res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
@@ -24,7 +25,7 @@ export async function proxyM3U8(targetUrl, headers, res, serverUrl) {
         const timeoutId = setTimeout(() => controller.abort(), 55000); // 55 seconds (slightly less than route timeout)
 
         try {
-            const response = await fetch(targetUrl, {
+            const response = await safeFetch(targetUrl, {
                 headers: {
                     'User-Agent': DEFAULT_USER_AGENT,
                     ...headers
@@ -61,6 +62,9 @@ export async function proxyM3U8(targetUrl, headers, res, serverUrl) {
 
             const m3u8Content = await response.text();
 
+            // Signed child links carry the headers along, unsigned ones rely on the host config as before
+            const childHeaders = isSigningEnabled() ? headers : undefined;
+
             // Process M3U8 content line by line - key difference from our previous implementation
             const processedLines = m3u8Content.split('\n').map((line) => {
                 line = line.trim();
@@ -75,7 +79,7 @@ export async function proxyM3U8(targetUrl, headers, res, serverUrl) {
                     const uriMatch = line.match(/URI="([^"]+)"/);
                     if (uriMatch) {
                         const mediaUrl = new URL(uriMatch[1], targetUrl).href;
-                        const proxyUrl = `${serverUrl}/m3u8-proxy?url=${encodeURIComponent(mediaUrl)}`;
+                        const proxyUrl = buildProxyUrl(serverUrl, 'm3u8-proxy', mediaUrl, childHeaders);
                         return line.replace(uriMatch[1], proxyUrl);
                     }
                     return line;
@@ -86,7 +90,7 @@ export async function proxyM3U8(targetUrl, headers, res, serverUrl) {
                     const uriMatch = line.match(/URI="([^"]+)"/);
                     if (uriMatch) {
                         const keyUrl = new URL(uriMatch[1], targetUrl).href;
-                        const proxyUrl = `${serverUrl}/ts-proxy?url=${encodeURIComponent(keyUrl)}`;
+                        const proxyUrl = buildProxyUrl(serverUrl, 'ts-proxy', keyUrl, childHeaders);
                         return line.replace(uriMatch[1], proxyUrl);
                     }
                     return line;
@@ -99,10 +103,10 @@ export async function proxyM3U8(targetUrl, headers, res, serverUrl) {
 
                         // Check if it's another m3u8 file (master playlist)
                         if (line.includes('.m3u8') || line.includes('m3u8')) {
-                            return `${serverUrl}/m3u8-proxy?url=${encodeURIComponent(segmentUrl)}`;
+                            return buildProxyUrl(serverUrl, 'm3u8-proxy', segmentUrl, childHeaders);
                         } else {
                             // It's a media segment
-                            return `${serverUrl}/ts-proxy?url=${encodeURIComponent(segmentUrl)}`;
+                            return buildProxyUrl(serverUrl, 'ts-proxy', segmentUrl, childHeaders);
                         }
                     } catch (e) {
                         return line; // Return original if URL parsing fails
@@ -152,6 +156,9 @@ export async function proxyM3U8(targetUrl, headers, res, serverUrl) {
         if (error.message.includes('timeout')) {
             statusCode = 504;
             errorMessage = 'Gateway Timeout - upstream server did not respond';
+        } else if (error.message.includes('SSRF_BLOCKED')) {
+            statusCode = 403;
+            errorMessage = 'Forbidden - upstream host is not a public address';
         } else if (error.message.includes('ECONNREFUSED') || error.message.includes('ENOTFOUND')) {
             statusCode = 502;
             errorMessage = 'Bad Gateway - could not connect to upstream server';
@@ -161,7 +168,7 @@ export async function proxyM3U8(targetUrl, headers, res, serverUrl) {
             setCorsHeaders(res);
             res.writeHead(statusCode, { 'Content-Type': 'application/json' });
             res.end(JSON.stringify({ 
-                code: statusCode === 504 ? 'TIMEOUT' : statusCode === 502 ? 'BAD_GATEWAY' : 'ERROR',
+                code: statusCode === 504 ? 'TIMEOUT' : statusCode === 502 ? 'BAD_GATEWAY' : statusCode === 403 ? 'SSRF_BLOCKED' : 'ERROR',
                 message: errorMessage
             }));
         }
@@ -0,0 +1,383 @@
+/**
+ * Byte-range proxy for direct MP4 sources
+ * Range requests are answered from fixed-size blocks of the resource kept in the range cache.
+ * Only the blocks that are missing are fetched from upstream, so seeking back and forth in a
+ * video does not download the same bytes again.
+ */
+
+import { once } from 'events';
+import { safeFetch } from '../utils/ssrfGuard.js';
+import { setCorsHeaders } from './handleCors.js';
+import {
+    RANGE_BLOCK_SIZE,
+    isSegmentCacheEnabled,
+    getCachedBlock,
+    setCachedBlock,
+    getCachedResource,
+    setCachedResource,
+    deleteCachedResource
+} from '../utils/hlsCache.js';
+
+// Open-ended ranges (bytes=123-) are answered with at most this many blocks, players ask for the rest.
+// Explicit ranges longer than this are passed through uncached
+const MAX_RESPONSE_BLOCKS =
+    Number(process.env.RANGE_CACHE_MAX_RESPONSE_BLOCKS) || 8;
+
+const UPSTREAM_TIMEOUT = 55000; // 55 seconds, same as the segment proxy
+
+/**
+ * Parses a Range header with a single byte range
+ * @param {string} header - e.g. "bytes=0-1023", "bytes=1024-" or "bytes=-500".
+ * @returns {{start: number, end?: number}|{suffix: number}|null} null for anything this cache does not handle.
+ */
+export function parseRange(header) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim());
+    if (!match || (match[1] === '' && match[2] === '')) return null;
+    if (match[1] === '') return { suffix: Number(match[2]) };
+
+    const start = Number(match[1]);
+    const end = match[2] === '' ? undefined : Number(match[2]);
+    if (end !== undefined && end < start) return null;
+    return { start, end };
+}
+
+/**
+ * Reads "bytes 0-1023/5000" into its numbers, the size is null when upstream sends "*"
+ */
+function parseContentRange(header) {
+    const match = /^bytes (\d+)-(\d+)\/(\d+|\*)$/.exec(header || '');
+    if (!match) return null;
+    return {
+        start: Number(match[1]),
+        end: Number(match[2]),
+        size: match[3] === '*' ? null : Number(match[3])
+    };
+}
+
+/**
+ * Fetches a byte range from upstream
+ */
+async function fetchBytes(targetUrl, fetchHeaders, from, to, signal) {
+    const timeout = AbortSignal.timeout(UPSTREAM_TIMEOUT);
+    try {
+        return await safeFetch(targetUrl, {
+            headers: { ...fetchHeaders, Range: `bytes=${from}-${to}` },
+            signal: AbortSignal.any([signal, timeout])
+        });
+    } catch (error) {
+        if (timeout.aborted) {
+            throw new Error(
+                'Request timeout - upstream server did not respond'
+            );
+        }
+        throw error;
+    }
+}
+
+/**
+ * Reads a body that should be exactly `length` bytes long
+ * @returns {Promise<Buffer|null>} The bytes, or null if the body is shorter or longer.
+ */
+async function readBlock(body, length) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of body) {
+        size += chunk.length;
+        if (size > length) {
+            body.destroy();
+            return null;
+        }
+        chunks.push(chunk);
+    }
+    return size === length ? Buffer.concat(chunks, size) : null;
+}
+
+/**
+ * Learns the size and type of a resource by fetching one of its blocks, which is cached too.
+ * Upstreams that ignore Range are remembered so they are passed through from then on.
+ * @returns {Promise<{resource: Object, block: Buffer}|null>} The resource and the block that was fetched,
+ * or null if it cannot be served in blocks. The block is returned so it is served even if the cache refused it.
+ */
+async function learnResource(targetUrl, fetchHeaders, index, signal) {
+    const from = index * RANGE_BLOCK_SIZE;
+    const response = await fetchBytes(
+        targetUrl,
+        fetchHeaders,
+        from,
+        from + RANGE_BLOCK_SIZE - 1,
+        signal
+    );
+    const contentRange = parseContentRange(
+        response.headers.get('content-range')
+    );
+
+    if (response.status !== 206 || !contentRange?.size) {
+        response.body.destroy();
+        if (response.status === 200) {
+            await setCachedResource(targetUrl, { rangeable: false });
+        }
+        // Errors are left to the segment proxy, which reports them as usual
+        return null;
+    }
+
+    // Only the requested block is read, whatever upstream claims to send
+    if (
+        contentRange.start !== from ||
+        contentRange.end !==
+            Math.min(from + RANGE_BLOCK_SIZE, contentRange.size) - 1
+    ) {
+        response.body.destroy();
+        return null;
+    }
+
+    const resource = {
+        rangeable: true,
+        size: contentRange.size,
+        contentType: response.headers.get('content-type') || 'video/mp4'
+    };
+    const block = await readBlock(response.body, contentRange.end - from + 1);
+    if (!block) return null;
+    await setCachedResource(targetUrl, resource);
+    await setCachedBlock(targetUrl, index, block);
+    return { resource, block };
+}
+
+/**
+ * Writes to the client, waiting for it to drain (backpressure)
+ */
+async function send(res, data, signal) {
+    if (data.length > 0 && !res.write(data)) {
+        await once(res, 'drain', { signal });
+    }
+}
+
+/**
+ * Writes the part of a block that falls into the requested range
+ */
+function sliceBlock(block, index, start, end) {
+    const blockStart = index * RANGE_BLOCK_SIZE;
+    return block.subarray(
+        Math.max(start, blockStart) - blockStart,
+        Math.min(end, blockStart + block.length - 1) - blockStart + 1
+    );
+}
+
+/**
+ * Fetches the missing blocks first..last in one upstream request, caches them and streams the
+ * requested part of them to the client as the bytes come in
+ */
+async function streamMissingBlocks(
+    targetUrl,
+    fetchHeaders,
+    resource,
+    run,
+    range,
+    res,
+    signal
+) {
+    const from = run.first * RANGE_BLOCK_SIZE;
+    const to = Math.min((run.last + 1) * RANGE_BLOCK_SIZE, resource.size) - 1;
+    const response = await fetchBytes(
+        targetUrl,
+        fetchHeaders,
+        from,
+        to,
+        signal
+    );
+    const contentRange = parseContentRange(
+        response.headers.get('content-range')
+    );
+
+    // Anything else means the resource changed since its size was cached
+    if (
+        response.status !== 206 ||
+        contentRange?.start !== from ||
+        contentRange.size !== resource.size
+    ) {
+        response.body.destroy();
+        await deleteCachedResource(targetUrl, resource.size);
+        throw new Error(`Upstream resource changed (${response.status})`);
+    }
+
+    let index = run.first;
+    let pending = [];
+    let pendingSize = 0;
+    for await (let chunk of response.body) {
+        while (chunk.length > 0 && index <= run.last) {
+            const blockEnd = Math.min(
+                (index + 1) * RANGE_BLOCK_SIZE,
+                resource.size
+            );
+            const offset = index * RANGE_BLOCK_SIZE + pendingSize;
+            const part = chunk.subarray(0, blockEnd - offset);
+            chunk = chunk.subarray(part.length);
+
+            const partEnd = offset + part.length - 1;
+            if (partEnd >= range.start && offset <= range.end) {
+                await send(
+                    res,
+                    part.subarray(
+                        Math.max(range.start - offset, 0),
+                        Math.min(range.end, partEnd) - offset + 1
+                    ),
+                    signal
+                );
+            }
+
+            pending.push(part);
+            pendingSize += part.length;
+            if (index * RANGE_BLOCK_SIZE + pendingSize === blockEnd) {
+                await setCachedBlock(
+                    targetUrl,
+                    index,
+                    Buffer.concat(pending, pendingSize)
+                );
+                index++;
+                pending = [];
+                pendingSize = 0;
+            }
+        }
+        // Ignores whatever upstream sends past the requested blocks
+        if (index > run.last) break;
+    }
+
+    if (index <= run.last) {
+        throw new Error('Upstream closed the connection early');
+    }
+}
+
+/**
+ * Answers a Range request from the range cache, fetching the missing blocks
+ * @param {string} targetUrl - The upstream URL.
+ * @param {Object} fetchHeaders - Headers for upstream, the Range header is set per request.
+ * @param {Object} req - The client request, carrying the Range header.
+ * @param {Object} res - The client response.
+ * @param {AbortSignal} signal - Aborted when the client goes away.
+ * @returns {Promise<boolean>} False if the request was not handled and should be passed through.
+ */
+export async function proxyRange(targetUrl, fetchHeaders, req, res, signal) {
+    const requested = parseRange(req.headers.range);
+    if (!isSegmentCacheEnabled() || !requested) {
+        return false;
+    }
+
+    try {
+        let resource = await getCachedResource(targetUrl);
+        let learnedBlock = null;
+        if (resource?.rangeable === false) {
+            return false;
+        }
+        if (!resource) {
+            // The size is needed to answer a suffix range, those are left to upstream until it is known
+            if (requested.suffix !== undefined) return false;
+            const learned = await learnResource(
+                targetUrl,
+                fetchHeaders,
+                Math.floor(requested.start / RANGE_BLOCK_SIZE),
+                signal
+            );
+            if (!learned) return false;
+            ({ resource, block: learnedBlock } = learned);
+        }
+
+        const { size } = resource;
+        const start =
+            requested.suffix !== undefined
+                ? Math.max(0, size - requested.suffix)
+                : requested.start;
+        if (start >= size) {
+            setCorsHeaders(res);
+            res.writeHead(416, { 'Content-Range': `bytes */${size}` });
+            res.end();
+            return true;
+        }
+
+        const first = Math.floor(start / RANGE_BLOCK_SIZE);
+        let end;
+        if (requested.end === undefined && requested.suffix === undefined) {
+            end =
+                Math.min(
+                    size,
+                    (first + MAX_RESPONSE_BLOCKS) * RANGE_BLOCK_SIZE
+                ) - 1;
+        } else {
+            end = Math.min(requested.end ?? size - 1, size - 1);
+            if (
+                Math.floor(end / RANGE_BLOCK_SIZE) - first + 1 >
+                MAX_RESPONSE_BLOCKS
+            ) {
+                return false;
+            }
+        }
+        const last = Math.floor(end / RANGE_BLOCK_SIZE);
+
+        // The block just fetched to learn the resource is served from memory, the cache may have refused it
+        const blocks = [];
+        for (let index = first; index <= last; index++) {
+            blocks.push(
+                index === first && learnedBlock
+                    ? learnedBlock
+                    : await getCachedBlock(targetUrl, index)
+            );
+        }
+        // That block does not count as cached
+        const cachedCount =
+            blocks.filter(Boolean).length - (learnedBlock ? 1 : 0);
+
+        setCorsHeaders(res);
+        res.setHeader('Content-Type', resource.contentType);
+        res.setHeader('Content-Length', end - start + 1);
+        res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+        res.setHeader('Accept-Ranges', 'bytes');
+        res.setHeader(
+            'X-Cache',
+            cachedCount === blocks.length
+                ? 'HIT'
+                : cachedCount === 0
+                  ? 'MISS'
+                  : 'PARTIAL'
+        );
+        res.writeHead(206);
+
+        const range = { start, end };
+        try {
+            for (let index = first; index <= last; index++) {
+                const block = blocks[index - first];
+                if (block) {
+                    await send(
+                        res,
+                        sliceBlock(block, index, start, end),
+                        signal
+                    );
+                    continue;
+                }
+                // Missing blocks next to each other are fetched together
+                let runLast = index;
+                while (runLast < last && !blocks[runLast + 1 - first])
+                    runLast++;
+                await streamMissingBlocks(
+                    targetUrl,
+                    fetchHeaders,
+                    resource,
+                    { first: index, last: runLast },
+                    range,
+                    res,
+                    signal
+                );
+                index = runLast;
+            }
+            res.end();
+        } catch (error) {
+            // The head is out, all that is left is cutting the response short
+            res.destroy();
+            throw error;
+        }
+        return true;
+    } catch (error) {
+        if (signal.aborted) {
+            // The player went away, nobody to answer to
+            return true;
+        }
+        throw error;
+    }
+}
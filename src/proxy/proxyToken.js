@@ -0,0 +1,173 @@
+/**
+ * Signed proxy tokens
+ * With PROXY_SIGNING_SECRET set, proxy links carry a single opaque `token` instead of the raw
+ * upstream URL and headers. The token is encrypted (so clients never see the upstream URL or its
+ * Referer/Origin), HMAC-signed (so it cannot be forged or changed) and expires. Requests without
+ * a valid token are rejected, which stops the proxy routes from being used as an open proxy.
+ */
+
+import crypto from 'crypto';
+import zlib from 'zlib';
+import { ErrorObject } from '../helpers/ErrorObject.js';
+
+// Configuration
+export const TOKEN_CONFIG = {
+    secret: process.env.PROXY_SIGNING_SECRET || '',
+    ttl: Number(process.env.PROXY_TOKEN_TTL_SECONDS) || 21600 // 6 hours
+};
+
+const VERSION = 1;
+const IV_LENGTH = 16;
+const MAC_LENGTH = 16;
+
+// Separate keys for encryption and signing, both derived from the one secret
+const deriveKey = (purpose) =>
+    crypto.createHmac('sha256', TOKEN_CONFIG.secret).update(purpose).digest();
+const ENCRYPTION_KEY = deriveKey('proxy-token-encryption');
+const SIGNING_KEY = deriveKey('proxy-token-signing');
+
+function sign(data) {
+    return crypto
+        .createHmac('sha256', SIGNING_KEY)
+        .update(data)
+        .digest()
+        .subarray(0, MAC_LENGTH);
+}
+
+/**
+ * Checks if proxy links are signed, i.e. PROXY_SIGNING_SECRET is set
+ */
+export function isSigningEnabled() {
+    return TOKEN_CONFIG.secret !== '';
+}
+
+/**
+ * Mints a token for an upstream URL
+ * @param {string} url - The upstream URL.
+ * @param {Object} [headers] - Headers to send upstream.
+ * @param {number} [ttl] - Lifetime in seconds, defaults to TOKEN_CONFIG.ttl.
+ * @returns {string} A base64url token.
+ */
+export function createProxyToken(url, headers = {}, ttl = TOKEN_CONFIG.ttl) {
+    const expiresAt = Math.floor(Date.now() / 1000) + ttl;
+    const payload = zlib.deflateRawSync(
+        JSON.stringify([url, headers, expiresAt])
+    );
+
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-ctr', ENCRYPTION_KEY, iv);
+    const body = Buffer.concat([
+        Buffer.from([VERSION]),
+        iv,
+        cipher.update(payload),
+        cipher.final()
+    ]);
+    return Buffer.concat([body, sign(body)]).toString('base64url');
+}
+
+function tokenError(message, responseCode, hint) {
+    return new ErrorObject(message, 'proxy', responseCode, hint, true, false);
+}
+
+/**
+ * Checks and opens a token
+ * @param {string} token - A token from createProxyToken.
+ * @returns {{url: string, headers: Object}|ErrorObject} The upstream target, or an ErrorObject if the token is forged or expired.
+ */
+export function readProxyToken(token) {
+    const raw = Buffer.from(String(token), 'base64url');
+    const body = raw.subarray(0, raw.length - MAC_LENGTH);
+    const mac = raw.subarray(raw.length - MAC_LENGTH);
+
+    if (
+        raw.length <= 1 + IV_LENGTH + MAC_LENGTH ||
+        body[0] !== VERSION ||
+        !crypto.timingSafeEqual(mac, sign(body))
+    ) {
+        return tokenError(
+            'TOKEN_INVALID: Proxy token is malformed or not signed by this server',
+            403,
+            'Use the links returned by the scrape routes as they are.'
+        );
+    }
+
+    let url, headers, expiresAt;
+    try {
+        const iv = body.subarray(1, 1 + IV_LENGTH);
+        const decipher = crypto.createDecipheriv(
+            'aes-256-ctr',
+            ENCRYPTION_KEY,
+            iv
+        );
+        const payload = Buffer.concat([
+            decipher.update(body.subarray(1 + IV_LENGTH)),
+            decipher.final()
+        ]);
+        [url, headers, expiresAt] = JSON.parse(
+            zlib.inflateRawSync(payload).toString('utf8')
+        );
+    } catch (error) {
+        return tokenError(
+            'TOKEN_INVALID: Proxy token could not be read',
+            403,
+            'Use the links returned by the scrape routes as they are.'
+        );
+    }
+
+    if (expiresAt * 1000 <= Date.now()) {
+        return tokenError(
+            'TOKEN_EXPIRED: Proxy token has expired',
+            403,
+            'Scrape the title again for fresh links.'
+        );
+    }
+    return { url, headers: headers || {} };
+}
+
+/**
+ * Builds a link to one of the proxy routes. Signed links carry a token, unsigned ones the
+ * URL and, when given, the headers as query parameters.
+ * @param {string} serverUrl - Base URL of this server.
+ * @param {string} route - "m3u8-proxy", "ts-proxy" or "sub-proxy".
+ * @param {string} url - The upstream URL.
+ * @param {Object} [headers] - Headers to send upstream.
+ * @returns {string} The proxy link.
+ */
+export function buildProxyUrl(serverUrl, route, url, headers) {
+    if (isSigningEnabled()) {
+        return `${serverUrl}/${route}?token=${createProxyToken(url, headers)}`;
+    }
+    const query = headers
+        ? `&headers=${encodeURIComponent(JSON.stringify(headers))}`
+        : '';
+    return `${serverUrl}/${route}?url=${encodeURIComponent(url)}${query}`;
+}
+
+/**
+ * Reads the upstream target of a proxy request, from its token or, while signing is off,
+ * from its `url` and `headers` parameters.
+ * @param {Object} params - `token`, `url` and `headers` (a JSON string or an object) of the request.
+ * @returns {{url: string, headers: Object}|ErrorObject} The upstream target, or an ErrorObject if the request is not allowed.
+ */
+export function getProxyTarget({ token, url, headers }) {
+    if (isSigningEnabled()) {
+        if (!token) {
+            return tokenError(
+                'TOKEN_REQUIRED: Proxy requests need a signed token',
+                401,
+                'This server only proxies the links returned by its scrape routes.'
+            );
+        }
+        return readProxyToken(token);
+    }
+
+    if (typeof headers === 'string') {
+        try {
+            headers = JSON.parse(headers);
+        } catch (e) {
+            // Continue with empty headers
+            headers = {};
+        }
+    }
+    return { url, headers: headers || {} };
+}
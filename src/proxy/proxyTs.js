@@ -1,14 +1,61 @@
 // TS/Segment proxy function based on the working implementation
-import fetch from 'node-fetch';
+import { safeFetch } from '../utils/ssrfGuard.js';
 import { DEFAULT_USER_AGENT } from './proxyserver.js';
 import { setCorsHeaders } from './handleCors.js';
-import { getCachedSegment, setCachedSegment } from '../utils/hlsCache.js';
+import { pipeline, Transform } from 'stream';
+import { proxyRange } from './proxyRange.js';
+import {
+    getCachedSegment,
+    setCachedSegment,
+    isSegmentCacheEnabled,
+    SEGMENT_MAX_BYTES
+} from '../utils/hlsCache.js';
+
+/**
+ * Passes the segment through untouched and keeps a copy of it for the cache.
+ * The copy is dropped once it grows past maxBytes (0 keeps nothing), streaming goes on.
+ * onComplete only runs when the upstream body ended normally.
+ */
+function createSegmentTee(maxBytes, onComplete) {
+    let chunks = maxBytes > 0 ? [] : null;
+    let size = 0;
+
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            if (chunks) {
+                size += chunk.length;
+                if (size > maxBytes) {
+                    chunks = null;
+                } else {
+                    chunks.push(chunk);
+                }
+            }
+            callback(null, chunk);
+        },
+        flush(callback) {
+            if (chunks) {
+                onComplete(Buffer.concat(chunks, size));
+            }
+            callback();
+        }
+    });
+}
 
 export async function proxyTs(targetUrl, headers, req, res) {
+    // Stop the upstream download as soon as the player goes away
+    const controller = new AbortController();
+    let clientGone = false;
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            clientGone = true;
+            controller.abort();
+        }
+    });
+
     try {
-        // Check cache first (only if no range request, as range requests can't be cached easily)
+        // Check cache first (only if no range request, those go through the range cache below)
         if (!req.headers.range) {
-            const cachedSegment = getCachedSegment(targetUrl);
+            const cachedSegment = await getCachedSegment(targetUrl);
             if (cachedSegment) {
                 setCorsHeaders(res);
                 res.setHeader('Content-Type', 'video/mp2t');
@@ -30,14 +77,18 @@ export async function proxyTs(targetUrl, headers, req, res) {
         // Forward range header if present
         if (req.headers.range) {
             fetchHeaders['Range'] = req.headers.range;
+
+            // Direct sources (MP4) are served from the range cache when the segment cache is on
+            if (await proxyRange(targetUrl, fetchHeaders, req, res, controller.signal)) {
+                return;
+            }
         }
 
         // Create fetch options with timeout
-        const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), 55000); // 55 seconds
 
         try {
-            const response = await fetch(targetUrl, {
+            const response = await safeFetch(targetUrl, {
                 headers: fetchHeaders,
                 signal: controller.signal
             });
@@ -94,36 +145,41 @@ export async function proxyTs(targetUrl, headers, req, res) {
                 );
             }
 
-            // Set status code for range requests
-            if (response.status === 206) {
-                res.writeHead(206);
-                res.setHeader('X-Cache', 'MISS');
-                // Stream the response directly for range requests
-                response.body.pipe(res);
-            } else {
-                res.writeHead(200);
-                res.setHeader('X-Cache', 'MISS');
-                
-                // For non-range requests, we can cache the segment
-                if (!req.headers.range) {
-                    // Collect the response body using buffer() method
-                    const buffer = await response.buffer();
-                    
-                    // Cache the segment (only if not too large, e.g., < 10MB)
-                    if (buffer.length < 10 * 1024 * 1024) {
-                        setCachedSegment(targetUrl, buffer);
+            // Range requests keep their 206, X-Cache has to be set before the head goes out
+            res.setHeader('X-Cache', 'MISS');
+            res.writeHead(response.status === 206 ? 206 : 200);
+
+            // Full responses are cached on the way through, unless they are known to be too big
+            const contentLength = Number(response.headers.get('content-length'));
+            const cacheable =
+                response.status !== 206 &&
+                !req.headers.range &&
+                isSegmentCacheEnabled() &&
+                !(contentLength > SEGMENT_MAX_BYTES);
+
+            const tee = createSegmentTee(
+                cacheable ? SEGMENT_MAX_BYTES : 0,
+                (buffer) => setCachedSegment(targetUrl, buffer)
+            );
+
+            // Bytes go out as they come in, pipeline handles backpressure and tears
+            // everything down when either side fails
+            await new Promise((resolve) => {
+                pipeline(response.body, tee, res, (error) => {
+                    if (error && !clientGone) {
+                        console.error('[TS Proxy Stream Error]:', {
+                            message: error.message,
+                            url: targetUrl.substring(0, 100)
+                        });
                     }
-                    
-                    // Send the response
-                    res.end(buffer);
-                } else {
-                    // Stream the response directly for range requests
-                    response.body.pipe(res);
-                }
-            }
+                    resolve();
+                });
+            });
         } catch (fetchError) {
             clearTimeout(timeoutId);
             if (fetchError.name === 'AbortError') {
+                // The player left before upstream answered, nobody to answer to
+                if (clientGone) return;
                 throw new Error('Request timeout - upstream server did not respond');
             }
             throw fetchError;
@@ -145,6 +201,9 @@ export async function proxyTs(targetUrl, headers, req, res) {
         if (error.message.includes('timeout')) {
             statusCode = 504;
             errorMessage = 'Gateway Timeout - upstream server did not respond';
+        } else if (error.message.includes('SSRF_BLOCKED')) {
+            statusCode = 403;
+            errorMessage = 'Forbidden - upstream host is not a public address';
         } else if (error.message.includes('ECONNREFUSED') || error.message.includes('ENOTFOUND')) {
             statusCode = 502;
             errorMessage = 'Bad Gateway - could not connect to upstream server';
@@ -1,4 +1,3 @@
-import fetch from 'node-fetch';
 import { extractOriginalUrl, getOriginFromUrl } from './parser.js';
 import { handleCors, setCorsHeaders } from './handleCors.js';
 import { proxyM3U8 } from './m3u8proxy.js';
@@ -8,6 +7,8 @@ import { extractHostname, isHostAllowed, getHeadersForHost } from '../utils/host
 import { logRequest } from '../utils/metrics.js';
 import { resolveUrl } from '../utils/resolver.js';
 import { ErrorObject } from '../helpers/ErrorObject.js';
+import { buildProxyUrl, getProxyTarget, isSigningEnabled } from './proxyToken.js';
+import { safeFetch } from '../utils/ssrfGuard.js';
 
 // Helper function to validate and fix Referer header
 // Ensures Referer is always a full URL, not just a video ID
@@ -47,6 +48,12 @@ function isValidUrl(urlString) {
     }
 }
 
+// Helper function to answer a rejected proxy request
+function sendProxyError(res, errorObject) {
+    setCorsHeaders(res);
+    res.status(errorObject._responseCode).json(errorObject.toJSON());
+}
+
 // Default user agent
 export const DEFAULT_USER_AGENT =
     'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36';
@@ -234,22 +241,18 @@ export function createProxyRoutes(app) {
 
     // GET /m3u8-proxy (legacy support)
     app.get('/m3u8-proxy', async (req, res) => {
-        const targetUrl = req.query.url;
-        let headers = {};
-
-        try {
-            headers = JSON.parse(req.query.headers || '{}');
-        } catch (e) {
-            // Continue with empty headers
-        }
+        const target = getProxyTarget(req.query);
+        if (target instanceof ErrorObject) return sendProxyError(res, target);
 
-        await handleM3U8Proxy(req, res, targetUrl, headers);
+        await handleM3U8Proxy(req, res, target.url, target.headers);
     });
 
     // POST /m3u8-proxy (new endpoint)
     app.post('/m3u8-proxy', async (req, res) => {
-        const { url, headers } = req.body || {};
-        await handleM3U8Proxy(req, res, url, headers);
+        const target = getProxyTarget(req.body || {});
+        if (target instanceof ErrorObject) return sendProxyError(res, target);
+
+        await handleM3U8Proxy(req, res, target.url, target.headers);
     });
 
     // POST /resolve - normalize messy provider responses to single valid m3u8 URL
@@ -292,6 +295,9 @@ export function createProxyRoutes(app) {
             if (error.message.includes('HOST_NOT_ALLOWED')) {
                 statusCode = 403;
                 errorCode = 'HOST_NOT_ALLOWED';
+            } else if (error.message.includes('SSRF_BLOCKED')) {
+                statusCode = 403;
+                errorCode = 'SSRF_BLOCKED';
             } else if (error.message.includes('timeout')) {
                 statusCode = 504;
                 errorCode = 'TIMEOUT';
@@ -315,14 +321,11 @@ export function createProxyRoutes(app) {
         if (handleCors(req, res)) return;
 
         const startTime = Date.now();
-        const targetUrl = req.query.url;
-        let headers = {};
+        const target = getProxyTarget(req.query);
+        if (target instanceof ErrorObject) return sendProxyError(res, target);
 
-        try {
-            headers = JSON.parse(req.query.headers || '{}');
-        } catch (e) {
-            // Continue with empty headers
-        }
+        const targetUrl = target.url;
+        let headers = target.headers;
 
         if (!targetUrl) {
             setCorsHeaders(res);
@@ -439,14 +442,11 @@ export function createProxyRoutes(app) {
     app.get('/proxy/hls', async (req, res) => {
         if (handleCors(req, res)) return;
 
-        const targetUrl = req.query.link;
-        let headers = {};
+        const target = getProxyTarget({ ...req.query, url: req.query.link });
+        if (target instanceof ErrorObject) return sendProxyError(res, target);
 
-        try {
-            headers = JSON.parse(req.query.headers || '{}');
-        } catch (e) {
-            console.warn('[HLS-Proxy] Invalid headers JSON:', e.message);
-        }
+        const targetUrl = target.url;
+        let headers = target.headers;
 
         if (!targetUrl) {
             setCorsHeaders(res);
@@ -534,14 +534,11 @@ export function createProxyRoutes(app) {
     app.get('/sub-proxy', (req, res) => {
         if (handleCors(req, res)) return;
 
-        const targetUrl = req.query.url;
-        let headers = {};
+        const target = getProxyTarget(req.query);
+        if (target instanceof ErrorObject) return sendProxyError(res, target);
 
-        try {
-            headers = JSON.parse(req.query.headers || '{}');
-        } catch (e) {
-            // Invalid headers JSON
-        }
+        const targetUrl = target.url;
+        const headers = target.headers;
 
         if (!targetUrl) {
             setCorsHeaders(res);
@@ -573,7 +570,7 @@ export function createProxyRoutes(app) {
             return;
         }
 
-        fetch(normalizedUrl, {
+        safeFetch(normalizedUrl, {
             headers: {
                 'User-Agent': DEFAULT_USER_AGENT,
                 ...headers
@@ -608,14 +605,17 @@ export function createProxyRoutes(app) {
                 let statusCode = 500;
                 let errorMessage = error.message || 'Unknown error occurred';
                 
-                if (error.message.includes('ECONNREFUSED') || error.message.includes('ENOTFOUND')) {
+                if (error.message.includes('SSRF_BLOCKED')) {
+                    statusCode = 403;
+                    errorMessage = 'Forbidden - upstream host is not a public address';
+                } else if (error.message.includes('ECONNREFUSED') || error.message.includes('ENOTFOUND')) {
                     statusCode = 502;
                     errorMessage = 'Bad Gateway - could not connect to upstream server';
                 }
                 
                 res.writeHead(statusCode, { 'Content-Type': 'application/json' });
                 res.end(JSON.stringify({ 
-                    error: statusCode === 502 ? 'Bad Gateway' : 'Internal Server Error',
+                    error: statusCode === 502 ? 'Bad Gateway' : statusCode === 403 ? 'Forbidden' : 'Internal Server Error',
                     message: errorMessage
                 }));
             });
@@ -655,13 +655,15 @@ export function processApiResponse(apiResponse, serverUrl) {
                 };
             }
 
-            const localProxyUrl = `${serverUrl}/m3u8-proxy?url=${encodeURIComponent(finalUrl)}&headers=${encodeURIComponent(JSON.stringify(proxyHeaders))}`;
+            const localProxyUrl = buildProxyUrl(serverUrl, 'm3u8-proxy', finalUrl, proxyHeaders);
 
             return {
                 ...file,
                 file: localProxyUrl,
                 type: 'hls',
-                headers: proxyHeaders
+                // Signed links keep the upstream headers to themselves
+                headers: isSigningEnabled() ? undefined : proxyHeaders,
+                isProxied: true
             };
         } else {
             // Use TS proxy for direct video files (.mp4, .mkv, .webm, .avi)
@@ -676,13 +678,14 @@ export function processApiResponse(apiResponse, serverUrl) {
                 };
             }
 
-            const localProxyUrl = `${serverUrl}/ts-proxy?url=${encodeURIComponent(finalUrl)}&headers=${encodeURIComponent(JSON.stringify(proxyHeaders))}`;
+            const localProxyUrl = buildProxyUrl(serverUrl, 'ts-proxy', finalUrl, proxyHeaders);
 
             return {
                 ...file,
                 file: localProxyUrl,
                 type: file.type || 'mp4',
-                headers: proxyHeaders
+                headers: isSigningEnabled() ? undefined : proxyHeaders,
+                isProxied: true
             };
         }
     });
@@ -690,7 +693,7 @@ export function processApiResponse(apiResponse, serverUrl) {
     const processedSubtitles = (apiResponse.subtitles || []).map((sub) => {
         if (!sub.url || typeof sub.url !== 'string') return sub;
 
-        const localProxyUrl = `${serverUrl}/sub-proxy?url=${encodeURIComponent(sub.url)}`;
+        const localProxyUrl = buildProxyUrl(serverUrl, 'sub-proxy', sub.url);
         return {
             ...sub,
             url: localProxyUrl
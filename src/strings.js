@@ -2,7 +2,18 @@ export const strings = {
     HOME_NAME: 'CinePro API',
     ROUTES: {
         MOVIE: '/movie/:tmdbID',
-        TV: '/tv/:tmdbID?s=seasonNumber&e=episodeNumber'
+        TV: '/tv/:tmdbID?s=seasonNumber&e=episodeNumber',
+        MOVIE_STREAM: '/movie/:tmdbID/stream',
+        TV_STREAM: '/tv/:tmdbID/stream?s=seasonNumber&e=episodeNumber',
+        MOVIE_AVAILABLE: '/movie/:tmdbID/available',
+        TV_AVAILABLE: '/tv/:tmdbID/available?s=seasonNumber&e=episodeNumber',
+        TV_SEASON: '/tv/:tmdbID/season/:seasonNumber',
+        TV_SEASON_STREAM: '/tv/:tmdbID/season/:seasonNumber/stream',
+        MOVIE_IMDB: '/movie/imdb/:imdbID',
+        TV_IMDB: '/tv/imdb/:imdbID?s=seasonNumber&e=episodeNumber',
+        SEARCH: '/search?q=title&year=releaseYear&type=movie|tv|all',
+        BATCH: 'POST /batch',
+        PROVIDERS: '/providers'
     },
     INFORMATION:
         'This project is for educational purposes only. We do not host any kind of content. We provide only the links to already available content on the internet. We do not host, upload any videos, films or media files. We are not responsible for the accuracy, compliance, copyright, legality, decency, or any other aspect of the content of other linked sites. If you have any legal issues please contact the appropriate media file owners or host sites.',
@@ -25,6 +36,22 @@ export const strings = {
     },
     DEFAULT_ISSUE_LINK:
         'https://github.com/cinepro-org/backend/issues/new/choose',
+    INVALID_SORT: 'Invalid sort parameter',
+    INVALID_SORT_HINT: 'Use ?sort=quality or ?sort=reliability',
+    UNKNOWN_PROVIDER: 'Unknown provider in ?providers= or ?exclude=',
+    UNKNOWN_PROVIDER_HINT:
+        'See GET /providers for the registered provider names',
+    DEBUG_UNAUTHORIZED: 'UNAUTHORIZED: Debug mode needs the admin key',
+    DEBUG_UNAUTHORIZED_HINT:
+        'Send the admin key as "Authorization: Bearer <key>" or in the X-Admin-Key header together with ?debug=1',
+    INVALID_IMDB_ID_HINT:
+        'IMDb IDs look like tt0944947. TV routes take the IMDb ID of the show with ?s=&e=, or the IMDb ID of an episode',
+    INVALID_SEARCH: 'Invalid search',
+    INVALID_SEARCH_HINT:
+        'Use /search?q=title, optionally with &year=2008 and &type=movie, tv or all',
+    INVALID_BATCH: 'Invalid batch request',
+    INVALID_BATCH_ITEM_HINT:
+        'Batch items are {"type": "movie", "tmdb": 550} or {"type": "tv", "tmdb": 1399, "season": 1, "episode": 1}',
     ROUTE_NOT_FOUND: '404 not found',
     ROUTE_NOT_FOUND_HINT:
         'Check the documentation again to see how to use this endpoint'
@@ -8,6 +8,7 @@ import { extract_voesx } from './extractors/voesx.js';
 import { extract_savefiles } from './extractors/savefiles.js';
 import { extract_doodstream } from './extractors/doodstream.js';
 import { extract_dropload } from './extractors/dropload.js';
+import { addTraceNote } from './requestTrace.js';
 
 const streamwish =
     /(?:\/\/|\.)((?:(?:stream|flas|obey|sfast|str|embed|[mads]|cdn|asn|player|hls)?wish(?:embed|fast|only|srv)?|ajmidyad|atabkhha|atabknha|atabknhk|atabknhs|abkrzkr|abkrzkz|vidmoviesb|kharabnahs|hayaatieadhab|cilootv|tuktukcinema|doodporn|ankrzkz|volvovideo|strmwis|ankrznm|yadmalik|khadhnayad|eghjrutf|eghzrutw|playembed|egsyxurh|egtpgrvh|uqloads|javsw|cinemathek|trgsfjll|fsdcmo|anime4low|mohahhda|ma2d|dancima|swhoi|gsfqzmqu|jodwish|swdyu|katomen|iplayerhls|hlsflast|4yftwvrdz7|ghbrisk)\.(?:com|to|sbs|pro|xyz|store|top|site|online|me|shop|fun))(?:\/e\/|\/f\/|\/d\/)?([0-9a-zA-Z$:\/.]+)/;
@@ -29,11 +30,41 @@ const doodstream =
 const dropload =
     /(?:\/\/|\.)(dropload\.io|dropload\.tv)\/(?:embed-|e\/|d\/)?([0-9a-zA-Z]+)/;
 
-export async function extract(url, DOMAIN = '') {
+// Extractor names, reported as `extractor` on the files they produced
+const EXTRACTORS = [
+    ['streamwish', streamwish],
+    ['mixdrop', mixdrop],
+    ['streamtape', streamtape],
+    ['bigwarp', bigwarp],
+    ['filelions', filelions],
+    ['voesx', voesx],
+    ['savefiles', savefiles],
+    ['doodstream', doodstream],
+    ['dropload', dropload]
+];
+
+/**
+ * Gets the name of the extractor that handles this URL
+ * @param {string} url - The embed URL.
+ * @returns {string|null} The extractor name, or null if no extractor matches.
+ */
+export function getExtractorName(url) {
+    const match = EXTRACTORS.find(([, pattern]) => pattern.test(url));
+    return match ? match[0] : null;
+}
+
+/**
+ * Resolves an embed URL to a playable file with the extractor that handles it
+ * @param {string} url - The embed URL.
+ * @param {string} [DOMAIN] - The provider's domain, sent as the referer where the host checks it.
+ * @param {AbortSignal} [signal] - Aborts the extractor's requests, e.g. when the provider times out.
+ * @returns {Promise<Object|ErrorObject>} The file, type and headers, or an ErrorObject.
+ */
+export async function extract(url, DOMAIN = '', signal) {
     if (streamwish.test(url)) {
-        return await extract_streamwish(url, DOMAIN);
+        return await extract_streamwish(url, DOMAIN, signal);
     } else if (mixdrop.test(url)) {
-        let data = await extract_mixdrop(url.split('/').pop());
+        let data = await extract_mixdrop(url.split('/').pop(), signal);
         if (data instanceof ErrorObject) {
             return data;
         }
@@ -43,7 +74,7 @@ export async function extract(url, DOMAIN = '') {
             headers: data.headers
         };
     } else if (streamtape.test(url)) {
-        let data = await extract_streamtape(url);
+        let data = await extract_streamtape(url, signal);
         if (data instanceof ErrorObject) {
             return data;
         }
@@ -52,7 +83,7 @@ export async function extract(url, DOMAIN = '') {
             type: 'mp4'
         };
     } else if (bigwarp.test(url)) {
-        let data = await extract_bigwarp(url);
+        let data = await extract_bigwarp(url, signal);
         if (data instanceof ErrorObject) {
             return data;
         }
@@ -62,7 +93,7 @@ export async function extract(url, DOMAIN = '') {
             headers: data.headers
         };
     } else if (filelions.test(url)) {
-        let data = await extract_filelions(url);
+        let data = await extract_filelions(url, signal);
         if (data instanceof ErrorObject) {
             return data;
         }
@@ -72,7 +103,7 @@ export async function extract(url, DOMAIN = '') {
             quality: data.quality
         };
     } else if (voesx.test(url)) {
-        let data = await extract_voesx(url);
+        let data = await extract_voesx(url, signal);
         if (data instanceof ErrorObject) {
             return data;
         }
@@ -82,7 +113,7 @@ export async function extract(url, DOMAIN = '') {
             quality: data.quality
         };
     } else if (savefiles.test(url)) {
-        let data = await extract_savefiles(url);
+        let data = await extract_savefiles(url, signal);
         if (data instanceof ErrorObject) {
             return data;
         }
@@ -92,7 +123,7 @@ export async function extract(url, DOMAIN = '') {
             quality: data.quality
         };
     } else if (doodstream.test(url)) {
-        let data = await extract_doodstream(url);
+        let data = await extract_doodstream(url, signal);
         if (data instanceof ErrorObject) {
             return data;
         }
@@ -102,7 +133,7 @@ export async function extract(url, DOMAIN = '') {
             headers: data.headers
         };
     } else if (dropload.test(url)) {
-        let data = await extract_dropload(url);
+        let data = await extract_dropload(url, signal);
         if (data instanceof ErrorObject) {
             return data;
         }
@@ -113,11 +144,9 @@ export async function extract(url, DOMAIN = '') {
         };
     }
 
-    if (process.argv.includes('--debug')) {
-        console.log(
-            `[extractor] ${url} (${DOMAIN}) is not a supported server... maybe check this out!`
-        );
-    }
+    addTraceNote(
+        `[extractor] ${url} (${DOMAIN}) is not a supported server... maybe check this out!`
+    );
     return new ErrorObject(
         'No extractor found',
         'Extractor',
@@ -0,0 +1,241 @@
+/**
+ * Cache warming
+ * Scrapes titles people are about to watch (a configured watch list, TMDB's airing today and
+ * trending lists) ahead of time, so new episodes are cached before the first request comes in.
+ */
+
+import { scrapeMedia } from '../api.js';
+import { getCacheKey, inspectCacheEntry } from '../cache/cache.js';
+import { ErrorObject } from '../helpers/ErrorObject.js';
+import { mapWithConcurrency } from '../helpers/helper.js';
+import {
+    getMovieFromTmdb,
+    getTvFromTmdb,
+    getAiringTodayFromTmdb,
+    getTrendingFromTmdb,
+    getLatestEpisodeFromTmdb
+} from '../helpers/tmdb.js';
+
+export const WARM_SOURCES = ['watchlist', 'airing_today', 'trending'];
+
+function parseList(value) {
+    return (value || '')
+        .split(',')
+        .map((item) => item.trim())
+        .filter(Boolean);
+}
+
+// Configuration
+export const WARM_CONFIG = {
+    enabled: process.env.CACHE_WARM_ENABLED === 'true',
+    intervalMinutes: Number(process.env.CACHE_WARM_INTERVAL_MINUTES) || 60,
+    concurrency: Number(process.env.CACHE_WARM_CONCURRENCY) || 2, // Titles scraped at the same time
+    limit: Number(process.env.CACHE_WARM_LIMIT) || 20, // Titles taken from each TMDB list
+    sources: parseList(
+        process.env.CACHE_WARM_SOURCES ?? 'watchlist,airing_today,trending'
+    ),
+    watchList: parseList(process.env.CACHE_WARM_LIST) // movie:550, tv:1399 (latest episode) or tv:1399:1:1
+};
+
+let timer = null;
+let nextRunAt = null;
+let currentRun = null;
+let lastRun = null;
+let runPromise = null;
+
+/**
+ * Turns a watch list item like `tv:1399:1:1` into a target, or null if it is malformed
+ */
+function parseWatchItem(item) {
+    const [type, tmdb, season, episode] = item.split(':');
+    if (!/^\d+$/.test(tmdb || '')) return null;
+    if (type === 'movie') return { type, tmdb };
+    if (type !== 'tv') return null;
+    if (season === undefined) return { type, tmdb };
+    if (!/^\d+$/.test(season) || !/^\d+$/.test(episode || '')) return null;
+    return { type, tmdb, season, episode };
+}
+
+/**
+ * Collects the titles to warm from the given sources, without duplicates
+ */
+async function collectTargets(sources, watchList, run) {
+    const targets = [];
+    const add = (target, source) => {
+        const id = [target.type, target.tmdb, target.season, target.episode]
+            .filter((part) => part !== undefined)
+            .join(':');
+        if (!targets.some((known) => known.id === id)) {
+            targets.push({ ...target, id, source });
+        }
+    };
+
+    for (const source of sources) {
+        if (source === 'watchlist') {
+            for (const item of watchList) {
+                const target = parseWatchItem(item);
+                if (target) {
+                    add(target, source);
+                } else {
+                    run.errors.push({
+                        title: item,
+                        error: 'Malformed watch list item'
+                    });
+                }
+            }
+            continue;
+        }
+
+        const list =
+            source === 'airing_today'
+                ? await getAiringTodayFromTmdb(WARM_CONFIG.limit)
+                : await getTrendingFromTmdb(WARM_CONFIG.limit);
+        if (list instanceof ErrorObject) {
+            run.errors.push({ title: source, error: list._message });
+            continue;
+        }
+        list.forEach((title) => add(title, source));
+    }
+    return targets;
+}
+
+/**
+ * Looks up the media object of a target, TV shows without an episode get their latest aired one
+ */
+async function resolveMedia(target) {
+    if (target.type === 'movie') {
+        return getMovieFromTmdb(target.tmdb);
+    }
+    let { season, episode } = target;
+    if (season === undefined) {
+        const latest = await getLatestEpisodeFromTmdb(target.tmdb);
+        if (latest instanceof ErrorObject) return latest;
+        ({ season, episode } = latest);
+    }
+    return getTvFromTmdb(target.tmdb, season, episode);
+}
+
+/**
+ * Scrapes a single target unless a fresh result is already cached
+ */
+async function warmTarget(target, run) {
+    run.inProgress.push(target.id);
+    try {
+        const media = await resolveMedia(target);
+        if (media instanceof ErrorObject) {
+            throw new Error(media._message);
+        }
+
+        const cached = await inspectCacheEntry(getCacheKey(media));
+        if (cached && !cached.stale && !cached.negative) {
+            run.skipped++;
+            return;
+        }
+
+        const result = await scrapeMedia(media, { refresh: true });
+        if (result.files.length > 0) {
+            run.warmed++;
+        } else {
+            run.empty++;
+        }
+    } catch (error) {
+        run.failed++;
+        run.errors.push({ title: target.id, error: error.message });
+    } finally {
+        run.done++;
+        run.inProgress = run.inProgress.filter((id) => id !== target.id);
+    }
+}
+
+/**
+ * Runs one warming pass. A pass that is already running is joined instead of starting another.
+ * @param {Object} [options]
+ * @param {Array<string>} [options.sources] - Any of WARM_SOURCES, defaults to WARM_CONFIG.sources.
+ * @param {Array<string>} [options.watchList] - Watch list items, defaults to WARM_CONFIG.watchList.
+ * @returns {Promise<Object>} Summary of the pass.
+ */
+export function runCacheWarm({
+    sources = WARM_CONFIG.sources,
+    watchList = WARM_CONFIG.watchList
+} = {}) {
+    if (runPromise) return runPromise;
+
+    const run = {
+        sources,
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        total: 0,
+        done: 0,
+        warmed: 0,
+        skipped: 0,
+        empty: 0,
+        failed: 0,
+        inProgress: [],
+        errors: []
+    };
+    currentRun = run;
+
+    runPromise = (async () => {
+        try {
+            const targets = await collectTargets(sources, watchList, run);
+            run.total = targets.length;
+            await mapWithConcurrency(
+                targets,
+                WARM_CONFIG.concurrency,
+                (target) => warmTarget(target, run)
+            );
+        } catch (error) {
+            run.errors.push({ title: null, error: error.message });
+        } finally {
+            run.finishedAt = new Date().toISOString();
+            lastRun = run;
+            currentRun = null;
+            runPromise = null;
+        }
+        return run;
+    })();
+    return runPromise;
+}
+
+/**
+ * Starts warming every WARM_CONFIG.intervalMinutes, beginning right away. Does nothing unless enabled.
+ */
+export function startCacheWarmer() {
+    if (!WARM_CONFIG.enabled || timer) return;
+
+    const intervalMs = WARM_CONFIG.intervalMinutes * 60 * 1000;
+    const tick = () => {
+        nextRunAt = new Date(Date.now() + intervalMs).toISOString();
+        runCacheWarm().catch(() => {});
+    };
+    timer = setInterval(tick, intervalMs);
+    timer.unref();
+    tick();
+}
+
+/**
+ * Stops the schedule, a pass in progress still finishes
+ */
+export function stopCacheWarmer() {
+    clearInterval(timer);
+    timer = null;
+    nextRunAt = null;
+}
+
+/**
+ * Gets the schedule and the progress of the current and last pass
+ */
+export function getWarmStatus() {
+    return {
+        enabled: WARM_CONFIG.enabled,
+        scheduled: timer !== null,
+        intervalMinutes: WARM_CONFIG.intervalMinutes,
+        concurrency: WARM_CONFIG.concurrency,
+        sources: WARM_CONFIG.sources,
+        watchList: WARM_CONFIG.watchList,
+        nextRunAt,
+        running: currentRun !== null,
+        currentRun,
+        lastRun
+    };
+}
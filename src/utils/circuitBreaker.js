@@ -0,0 +1,188 @@
+/**
+ * Circuit breaker per provider
+ * Skips providers that keep failing so requests stop paying for their latency
+ *
+ * closed    -> the provider runs normally
+ * open      -> the provider is skipped until the cool-down is over
+ * half_open -> a single trial request decides whether it closes again or stays open
+ */
+
+import { ErrorObject } from '../helpers/ErrorObject.js';
+
+// Configuration
+const BREAKER_CONFIG = {
+    failureThreshold: Number(process.env.BREAKER_FAILURE_THRESHOLD) || 5, // Consecutive failures before opening
+    cooldownMs: Number(process.env.BREAKER_COOLDOWN_MS) || 300000 // 5 minutes
+};
+
+export const BREAKER_STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half_open'
+};
+
+class CircuitBreaker {
+    constructor(name) {
+        this.name = name;
+        this.state = BREAKER_STATES.CLOSED;
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+        this.lastFailure = null;
+    }
+
+    /**
+     * Checks if the provider may run now. Moves an open breaker to half-open once the
+     * cool-down is over and lets exactly one trial request through.
+     */
+    canRequest() {
+        if (this.state === BREAKER_STATES.CLOSED) {
+            return true;
+        }
+
+        if (this.state === BREAKER_STATES.OPEN) {
+            if (Date.now() - this.openedAt < BREAKER_CONFIG.cooldownMs) {
+                return false;
+            }
+            this.state = BREAKER_STATES.HALF_OPEN;
+            this.trialInFlight = false;
+        }
+
+        // Half-open: only one trial at a time
+        if (this.trialInFlight) {
+            return false;
+        }
+        this.trialInFlight = true;
+        return true;
+    }
+
+    /**
+     * Records a provider run that did not fail
+     */
+    recordSuccess() {
+        this.state = BREAKER_STATES.CLOSED;
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    /**
+     * Records a failed provider run
+     */
+    recordFailure(error) {
+        this.consecutiveFailures++;
+        this.trialInFlight = false;
+        this.lastFailure = {
+            message:
+                error instanceof ErrorObject
+                    ? error._message
+                    : 'Provider threw an exception',
+            time: new Date().toISOString()
+        };
+
+        if (
+            this.state === BREAKER_STATES.HALF_OPEN ||
+            this.consecutiveFailures >= BREAKER_CONFIG.failureThreshold
+        ) {
+            this.state = BREAKER_STATES.OPEN;
+            this.openedAt = Date.now();
+        }
+    }
+
+    /**
+     * Gets a snapshot of the breaker
+     */
+    getState() {
+        return {
+            state: this.state,
+            consecutiveFailures: this.consecutiveFailures,
+            openedAt: this.openedAt
+                ? new Date(this.openedAt).toISOString()
+                : null,
+            retryAt:
+                this.state === BREAKER_STATES.OPEN
+                    ? new Date(
+                          this.openedAt + BREAKER_CONFIG.cooldownMs
+                      ).toISOString()
+                    : null,
+            lastFailure: this.lastFailure
+        };
+    }
+}
+
+// One breaker per provider name
+const breakers = new Map();
+
+/**
+ * Gets (or creates) the breaker of a provider
+ */
+export function getBreaker(providerName) {
+    if (!breakers.has(providerName)) {
+        breakers.set(providerName, new CircuitBreaker(providerName));
+    }
+    return breakers.get(providerName);
+}
+
+/**
+ * Checks if a provider result counts as a failure for the breaker.
+ * Exceptions, timeouts and upstream errors count; "nothing found" (404) means the provider is alive.
+ */
+export function isBreakerFailure(data) {
+    if (!data || data instanceof Error) {
+        return true;
+    }
+    if (data instanceof ErrorObject) {
+        return data._responseCode !== 404;
+    }
+    return false;
+}
+
+/**
+ * Records a provider result on its breaker
+ */
+export function recordProviderResult(providerName, data) {
+    const breaker = getBreaker(providerName);
+    if (isBreakerFailure(data)) {
+        breaker.recordFailure(data);
+    } else {
+        breaker.recordSuccess();
+    }
+}
+
+/**
+ * Closes the breaker of a provider again
+ */
+export function resetBreaker(providerName) {
+    breakers.delete(providerName);
+}
+
+/**
+ * Gets the breaker state of every provider that has run so far
+ */
+export function getBreakerStates() {
+    return Object.fromEntries(
+        Array.from(breakers.entries()).map(([name, breaker]) => [
+            name,
+            breaker.getState()
+        ])
+    );
+}
+
+/**
+ * Updates breaker configuration
+ */
+export function updateBreakerConfig(config) {
+    if (config.failureThreshold) {
+        BREAKER_CONFIG.failureThreshold = config.failureThreshold;
+    }
+    if (config.cooldownMs) {
+        BREAKER_CONFIG.cooldownMs = config.cooldownMs;
+    }
+}
+
+/**
+ * Gets current breaker configuration
+ */
+export function getBreakerConfig() {
+    return { ...BREAKER_CONFIG };
+}
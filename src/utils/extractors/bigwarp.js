@@ -1,6 +1,6 @@
 import { ErrorObject } from '../../helpers/ErrorObject.js';
 
-export async function extract_bigwarp(url) {
+export async function extract_bigwarp(url, signal) {
     let hostname = url.match(/https?:\/\/([^\/]+)/)[1];
 
     try {
@@ -15,7 +15,7 @@ export async function extract_bigwarp(url) {
             Origin: `${hostname}`
         };
 
-        const response = await fetch(url, { headers });
+        const response = await fetch(url, { headers, signal });
         const html = await response.text();
 
         // Now, ... Extractingg video sources using regex
@@ -4,7 +4,7 @@ import { ErrorObject } from '../../helpers/ErrorObject.js';
 // special mention to
 // special mention to
 // https://github.com/Gujal00/ResolveURL/blob/master/script.module.resolveurl/lib/resolveurl/plugins/doodstream.py
-export async function extract_doodstream(url) {
+export async function extract_doodstream(url, signal) {
     try {
         // extract hostname and media_id from url
         const pattern =
@@ -43,7 +43,8 @@ export async function extract_doodstream(url) {
         // fetch initial page
         let response = await fetch(webUrl, {
             headers,
-            redirect: 'follow'
+            redirect: 'follow',
+            signal
         });
 
         if (!response.ok) {
@@ -76,7 +77,7 @@ export async function extract_doodstream(url) {
         if (iframeMatch) {
             const iframeUrl = `https://${host}${iframeMatch[1]}`;
 
-            response = await fetch(iframeUrl, { headers });
+            response = await fetch(iframeUrl, { headers, signal });
 
             if (!response.ok) {
                 return new ErrorObject(
@@ -93,7 +94,7 @@ export async function extract_doodstream(url) {
             // try /e/ endpoint if no iframe is found
             const embedUrl = `https://${host}/e/${mediaId}`;
 
-            response = await fetch(embedUrl, { headers });
+            response = await fetch(embedUrl, { headers, signal });
 
             if (!response.ok) {
                 return new ErrorObject(
@@ -129,7 +130,7 @@ export async function extract_doodstream(url) {
         // fetch the source url
         const sourceUrl = `https://${host}${sourcePath}`;
 
-        const sourceResponse = await fetch(sourceUrl, { headers });
+        const sourceResponse = await fetch(sourceUrl, { headers, signal });
 
         if (!sourceResponse.ok) {
             return new ErrorObject(
@@ -4,7 +4,7 @@ import { ErrorObject } from '../../helpers/ErrorObject.js';
 
 // Special Mention to
 // https://github.com/Gujal00/ResolveURL/blob/master/script.module.resolveurl/lib/resolveurl/plugins/dropload.py
-export async function extract_dropload(url) {
+export async function extract_dropload(url, signal) {
     try {
         // extract hostname and media id from url
         const urlMatch = url.match(
@@ -37,7 +37,7 @@ export async function extract_dropload(url) {
         };
 
         // fetch the embed page
-        const response = await fetch(embedUrl, { headers });
+        const response = await fetch(embedUrl, { headers, signal });
 
         if (!response.ok) {
             return new ErrorObject(
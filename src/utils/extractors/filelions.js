@@ -5,7 +5,7 @@ import { ErrorObject } from '../../helpers/ErrorObject.js';
 // Special Mention to:
 // https://github.com/Gujal00/ResolveURL/blob/master/script.module.resolveurl/lib/resolveurl/plugins/filelions.py
 
-export async function extract_filelions(url) {
+export async function extract_filelions(url, signal) {
     try {
         // extract hostname from url
         const hostname = url.match(/https?:\/\/([^\/]+)/)?.[1];
@@ -65,7 +65,7 @@ export async function extract_filelions(url) {
         }
 
         // fetch the embed page
-        const response = await fetch(embedUrl, { headers });
+        const response = await fetch(embedUrl, { headers, signal });
 
         if (!response.ok) {
             return new ErrorObject(
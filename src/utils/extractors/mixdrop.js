@@ -1,8 +1,8 @@
 import fetch from 'node-fetch';
 import { ErrorObject } from '../../helpers/ErrorObject.js';
 
-export const extract_mixdrop = async (id) => {
-    const resp = await fetch('https://mixdrop.ps/e/' + id);
+export const extract_mixdrop = async (id, signal) => {
+    const resp = await fetch('https://mixdrop.ps/e/' + id, { signal });
     var cookie = resp.headers.get('set-cookie').split(',')[0];
     const [csrf, evalFun] = await resp
         .text()
@@ -29,7 +29,8 @@ export const extract_mixdrop = async (id) => {
             Referer: 'https://mixdrop.ps/e/' + id,
             'User-Agent':
                 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/130.0.0.0 Safari/537.36'
-        }
+        },
+        signal
     });
 
     if (!r2.ok) {
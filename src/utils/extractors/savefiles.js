@@ -4,7 +4,7 @@ import { ErrorObject } from '../../helpers/ErrorObject.js';
 
 // Thanks to
 // https://github.com/Gujal00/ResolveURL/blob/master/script.module.resolveurl/lib/resolveurl/plugins/savefiles.py
-export async function extract_savefiles(url) {
+export async function extract_savefiles(url, signal) {
     try {
         // extract hostname from url
         const hostname = url.match(/https?:\/\/([^\/]+)/)?.[1];
@@ -50,7 +50,7 @@ export async function extract_savefiles(url) {
         };
 
         // fetch the page
-        const response = await fetch(targetUrl, { headers });
+        const response = await fetch(targetUrl, { headers, signal });
 
         if (!response.ok) {
             return new ErrorObject(
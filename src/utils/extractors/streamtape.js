@@ -3,7 +3,7 @@ import { ErrorObject } from '../../helpers/ErrorObject.js';
 
 //TODO: not finished yet... check: https://github.com/Gujal00/ResolveURL/blob/master/script.module.resolveurl/lib/resolveurl/plugins/streamtape.py
 
-export async function extract_streamtape(url) {
+export async function extract_streamtape(url, signal) {
     try {
         let hostname = url.match(/https?:\/\/([^\/]+)/)[1];
 
@@ -17,7 +17,8 @@ export async function extract_streamtape(url) {
                 Referer: url,
                 Host: `${hostname}`,
                 Origin: `${hostname}`
-            }
+            },
+            signal
         });
 
         if (!response.ok) {
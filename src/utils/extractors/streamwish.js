@@ -2,14 +2,15 @@ import fetch from 'node-fetch';
 import JsUnpacker from '../jsunpack.js';
 import { ErrorObject } from '../../helpers/ErrorObject.js';
 
-export async function extract_streamwish(url, referer) {
+export async function extract_streamwish(url, referer, signal) {
     try {
         const response = await fetch(url, {
             headers: {
                 Referer: referer,
                 'User-Agent':
                     'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36'
-            }
+            },
+            signal
         });
 
         if (!response.ok) {
@@ -2,7 +2,7 @@ import fetch from 'node-fetch';
 import * as cheerio from 'cheerio';
 import { ErrorObject } from '../../helpers/ErrorObject.js';
 
-export async function extract_voesx(url) {
+export async function extract_voesx(url, signal) {
     try {
         // extract hostname from url
         const hostname = url.match(/https?:\/\/([^\/]+)/)?.[1];
@@ -48,7 +48,7 @@ export async function extract_voesx(url) {
         };
 
         // fetch the embed page
-        const response = await fetch(embedUrl, { headers });
+        const response = await fetch(embedUrl, { headers, signal });
 
         if (!response.ok) {
             return new ErrorObject(
@@ -71,7 +71,10 @@ export async function extract_voesx(url) {
             if (redirectMatch) {
                 const redirectUrl = redirectMatch[1];
 
-                const redirectResponse = await fetch(redirectUrl, { headers });
+                const redirectResponse = await fetch(redirectUrl, {
+                    headers,
+                    signal
+                });
                 if (redirectResponse.ok) {
                     html = await redirectResponse.text();
                 }
@@ -86,7 +89,7 @@ export async function extract_voesx(url) {
             const encodedData = jsonScriptMatch[1];
             const scriptUrl = new URL(jsonScriptMatch[2], embedUrl).href;
 
-            const scriptResponse = await fetch(scriptUrl, { headers });
+            const scriptResponse = await fetch(scriptUrl, { headers, signal });
             if (scriptResponse.ok) {
                 const scriptContent = await scriptResponse.text();
                 const replMatch = scriptContent.match(
@@ -1,60 +1,150 @@
 /**
  * HLS playlist and segment caching
- * In-memory cache for playlists with TTL, optional LRU for segments
+ * Playlists with a short TTL, optional segment cache and a byte-range block cache for direct MP4 sources.
+ * All of them live on the backend picked by CACHE_BACKEND
  */
 
-import NodeCache from 'node-cache';
+import { createCacheStore } from '../cache/store.js';
+import { matchesPattern } from '../cache/keyPattern.js';
 
-// Playlist cache - short TTL (30 seconds) for playlists
-const playlistCache = new NodeCache({
-    stdTTL: 30, // 30 seconds
-    checkperiod: 10, // Check for expired entries every 10 seconds
-    useClones: false // Better performance
-});
+const PLAYLIST_TTL = 30; // 30 seconds
+const SEGMENT_TTL = 300; // 5 minutes for segments
+const SEGMENT_MAX_KEYS = 1000; // Limit to 1000 segments in the memory backend
+
+// Bigger responses are still streamed to the client, just not cached
+export const SEGMENT_MAX_BYTES =
+    (Number(process.env.SEGMENT_CACHE_MAX_MB) || 10) * 1024 * 1024;
+
+// Range requests are cached as fixed-size blocks of the resource, keyed by URL and block index
+export const RANGE_BLOCK_SIZE =
+    (Number(process.env.RANGE_CACHE_BLOCK_KB) || 1024) * 1024;
+const RANGE_TTL = Number(process.env.RANGE_CACHE_TTL_SECONDS) || 600; // 10 minutes
+const RANGE_MAX_KEYS = Number(process.env.RANGE_CACHE_MAX_BLOCKS) || 256; // Limit in the memory backend
+
+// Playlist cache - short TTL for playlists
+const playlistCache = createCacheStore('playlist');
 
 // Segment cache - optional, can be enabled for frequently accessed segments
 // Using longer TTL but with size limits
-const segmentCache = new NodeCache({
-    stdTTL: 300, // 5 minutes for segments
-    checkperiod: 60,
-    maxKeys: 1000, // Limit to 1000 segments in cache
-    useClones: false
+const segmentCache = createCacheStore('segment', {
+    maxKeys: SEGMENT_MAX_KEYS
+});
+
+// Range block cache - on and off together with the segment cache.
+// Seeking through a new video keeps adding blocks, so once full the oldest ones make room
+const rangeCache = createCacheStore('range', {
+    maxKeys: RANGE_MAX_KEYS,
+    evict: true
 });
 
 let segmentCacheEnabled = false;
 
+const stats = {
+    playlists: { hits: 0, misses: 0 },
+    segments: { hits: 0, misses: 0 },
+    ranges: { hits: 0, misses: 0 }
+};
+
+function count(bucket, value) {
+    if (value === undefined) {
+        bucket.misses++;
+    } else {
+        bucket.hits++;
+    }
+    return value;
+}
+
 /**
  * Gets a cached playlist
  */
-export function getCachedPlaylist(url) {
-    return playlistCache.get(url);
+export async function getCachedPlaylist(url) {
+    return count(stats.playlists, await playlistCache.get(url));
 }
 
 /**
  * Sets a playlist in cache
  */
-export function setCachedPlaylist(url, content) {
-    playlistCache.set(url, content);
+export async function setCachedPlaylist(url, content) {
+    await playlistCache.set(url, content, PLAYLIST_TTL);
 }
 
 /**
  * Gets a cached segment
  */
-export function getCachedSegment(url) {
+export async function getCachedSegment(url) {
     if (!segmentCacheEnabled) {
         return undefined;
     }
-    return segmentCache.get(url);
+    return count(stats.segments, await segmentCache.get(url));
 }
 
 /**
  * Sets a segment in cache
  */
-export function setCachedSegment(url, buffer) {
-    if (!segmentCacheEnabled) {
+export async function setCachedSegment(url, buffer) {
+    if (!segmentCacheEnabled || buffer.length > SEGMENT_MAX_BYTES) {
         return;
     }
-    segmentCache.set(url, buffer);
+    await segmentCache.set(url, buffer, SEGMENT_TTL);
+}
+
+const blockKey = (url, index) => `${url}#block=${index}`;
+const resourceKey = (url) => `${url}#info`;
+
+/**
+ * Gets a cached block of a resource
+ * @param {string} url - The upstream URL.
+ * @param {number} index - Block index, the block starts at index * RANGE_BLOCK_SIZE.
+ * @returns {Promise<Buffer|undefined>} The block, the last one of a resource may be shorter.
+ */
+export async function getCachedBlock(url, index) {
+    if (!segmentCacheEnabled) {
+        return undefined;
+    }
+    return count(stats.ranges, await rangeCache.get(blockKey(url, index)));
+}
+
+/**
+ * Sets a block of a resource in cache
+ * @returns {Promise<boolean>} Whether the block was stored.
+ */
+export async function setCachedBlock(url, index, buffer) {
+    if (!segmentCacheEnabled) {
+        return false;
+    }
+    return rangeCache.set(blockKey(url, index), buffer, RANGE_TTL);
+}
+
+/**
+ * Gets what is known about a resource served in blocks: { size, contentType, rangeable }
+ */
+export async function getCachedResource(url) {
+    if (!segmentCacheEnabled) {
+        return undefined;
+    }
+    return rangeCache.get(resourceKey(url));
+}
+
+/**
+ * Sets what is known about a resource served in blocks
+ * @returns {Promise<boolean>} Whether it was stored.
+ */
+export async function setCachedResource(url, resource) {
+    if (!segmentCacheEnabled) {
+        return false;
+    }
+    return rangeCache.set(resourceKey(url), resource, RANGE_TTL);
+}
+
+/**
+ * Drops a resource and its blocks, e.g. when upstream changed it
+ */
+export async function deleteCachedResource(url, size) {
+    const blocks = Math.ceil((size || 0) / RANGE_BLOCK_SIZE);
+    await rangeCache.del([
+        resourceKey(url),
+        ...Array.from({ length: blocks }, (_, index) => blockKey(url, index))
+    ]);
 }
 
 /**
@@ -67,38 +157,97 @@ export function enableSegmentCache() {
 /**
  * Disables segment caching
  */
-export function disableSegmentCache() {
+export async function disableSegmentCache() {
     segmentCacheEnabled = false;
-    segmentCache.flushAll();
+    await segmentCache.flush();
+    await rangeCache.flush();
 }
 
 /**
  * Gets cache statistics
  */
-export function getCacheStats() {
+export async function getCacheStats() {
     return {
         playlists: {
-            keys: playlistCache.keys().length,
-            hits: playlistCache.getStats().hits,
-            misses: playlistCache.getStats().misses,
-            ttl: 30
+            backend: playlistCache.name,
+            keys: (await playlistCache.keys()).length,
+            hits: stats.playlists.hits,
+            misses: stats.playlists.misses,
+            ttl: PLAYLIST_TTL
         },
         segments: {
             enabled: segmentCacheEnabled,
-            keys: segmentCache.keys().length,
-            hits: segmentCache.getStats().hits,
-            misses: segmentCache.getStats().misses,
-            ttl: 300,
-            maxKeys: 1000
+            backend: segmentCache.name,
+            keys: (await segmentCache.keys()).length,
+            hits: stats.segments.hits,
+            misses: stats.segments.misses,
+            ttl: SEGMENT_TTL,
+            maxKeys: SEGMENT_MAX_KEYS,
+            maxBytes: SEGMENT_MAX_BYTES
+        },
+        ranges: {
+            enabled: segmentCacheEnabled,
+            backend: rangeCache.name,
+            keys: (await rangeCache.keys()).length,
+            hits: stats.ranges.hits,
+            misses: stats.ranges.misses,
+            ttl: RANGE_TTL,
+            blockSize: RANGE_BLOCK_SIZE,
+            maxKeys: RANGE_MAX_KEYS
         }
     };
 }
 
 /**
- * Clears all caches
+ * Gets the playlist, segment or range store by name
+ */
+function getStore(kind) {
+    if (kind === 'playlists') return playlistCache;
+    if (kind === 'segments') return segmentCache;
+    if (kind === 'ranges') return rangeCache;
+    return undefined;
+}
+
+/**
+ * Checks if a cache name is one of the HLS caches
  */
-export function clearCaches() {
-    playlistCache.flushAll();
-    segmentCache.flushAll();
+export function isHlsCacheKind(kind) {
+    return getStore(kind) !== undefined;
 }
 
+/**
+ * Lists the keys (upstream URLs) of the playlist, segment or range cache
+ */
+export async function listHlsCacheKeys(kind, pattern) {
+    const keys = await getStore(kind).keys();
+    return pattern ? keys.filter((key) => matchesPattern(key, pattern)) : keys;
+}
+
+/**
+ * Drops entries of the playlist, segment or range cache, all of them without a pattern. Returns how many were dropped
+ */
+export async function deleteHlsCacheKeys(kind, pattern) {
+    const store = getStore(kind);
+    const keys = await listHlsCacheKeys(kind, pattern);
+    if (!pattern) {
+        await store.flush();
+        return keys.length;
+    }
+    return store.del(keys);
+}
+
+/**
+ * Checks if segment caching is on
+ */
+export function isSegmentCacheEnabled() {
+    return segmentCacheEnabled;
+}
+
+/**
+ * Clears all caches
+ */
+export async function clearCaches() {
+    await playlistCache.flush();
+    await segmentCache.flush();
+    await rangeCache.flush();
+}
@@ -1,25 +1,162 @@
 /**
  * Host allowlist and per-host header templates
  * Manages which hosts are allowed and what headers to use for each
+ *
+ * Rules come from three places:
+ * - HOST_CONFIG_FILE, a JSON or YAML file that is reloaded when it changes
+ * - PROXY_ALLOWED_HOSTS and PROXY_HOST_HEADERS in the env
+ * - the `hosts` and `headers` of every enabled provider manifest
+ *
+ * Host patterns are either a domain (matches it and its subdomains) or a glob like
+ * `*.b-cdn.net` or `cdn?.example.com`.
  */
 
-// Host allowlist - only these hosts are allowed for proxying
-export const ALLOWED_HOSTS = new Set([
-    // Add common streaming hosts here
-    // This is a security measure to prevent SSRF attacks
-    // Empty by default - all hosts allowed, but can be restricted
-]);
-
-// Per-host header templates
-export const HOST_HEADER_TEMPLATES = {
-    // Example template structure:
-    // 'example.com': {
-    //     'Referer': 'https://example.com/',
-    //     'Origin': 'https://example.com',
-    //     'User-Agent': 'Mozilla/5.0...'
-    // }
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { matchesPattern } from '../cache/keyPattern.js';
+import { getAllProviders } from './providerRegistry.js';
+import { isProviderEnabled } from './providerConfig.js';
+
+// Configuration
+export const HOST_CONFIG = {
+    file: process.env.HOST_CONFIG_FILE || '',
+    watch: process.env.HOST_CONFIG_WATCH !== 'false',
+    enforce: process.env.HOST_ALLOWLIST_ENFORCE === 'true' // Enforce the allowlist even with only provider hosts in it
 };
 
+// Host allowlist - only these hosts are allowed for proxying
+// Filled from the config file and env on every reload. While it is empty (and
+// HOST_ALLOWLIST_ENFORCE is off) all hosts are allowed
+export const ALLOWED_HOSTS = new Set();
+
+// Per-host header templates from the config file and env, e.g.
+// '*.example-cdn.net': { Referer: 'https://example.com/', Origin: 'https://example.com' }
+export const HOST_HEADER_TEMPLATES = {};
+
+let loadedAt = null;
+let lastError = null;
+
+function parseList(value) {
+    return (value || '')
+        .split(',')
+        .map((item) => item.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+function parseHeadersEnv(value) {
+    if (!value) return {};
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        console.warn(
+            '[hostConfig] PROXY_HOST_HEADERS is not valid JSON, ignoring it'
+        );
+        return {};
+    }
+}
+
+/**
+ * Reads HOST_CONFIG_FILE, YAML for .yml/.yaml files and JSON otherwise
+ */
+function readConfigFile(file) {
+    const content = fs.readFileSync(file, 'utf8');
+    const config = ['.yml', '.yaml'].includes(path.extname(file).toLowerCase())
+        ? YAML.parse(content)
+        : JSON.parse(content);
+
+    const { allowedHosts = [], headers = {} } = config || {};
+    if (
+        !Array.isArray(allowedHosts) ||
+        allowedHosts.some((host) => typeof host !== 'string')
+    ) {
+        throw new Error('allowedHosts must be a list of host patterns');
+    }
+    if (
+        typeof headers !== 'object' ||
+        Array.isArray(headers) ||
+        Object.values(headers).some(
+            (template) => typeof template !== 'object' || template === null
+        )
+    ) {
+        throw new Error(
+            'headers must map host patterns to objects of header names and values'
+        );
+    }
+    return { allowedHosts, headers };
+}
+
+/**
+ * Reloads the allowlist and header templates from the config file and env.
+ * A file that cannot be read keeps the rules that were loaded before.
+ * @returns {Object} The host configuration, see getHostConfig.
+ */
+export function reloadHostConfig() {
+    let fileConfig = { allowedHosts: [], headers: {} };
+    if (HOST_CONFIG.file) {
+        try {
+            fileConfig = readConfigFile(HOST_CONFIG.file);
+            lastError = null;
+        } catch (e) {
+            lastError = `${HOST_CONFIG.file}: ${e.message}`;
+            console.warn(
+                `[hostConfig] Could not load ${lastError}, keeping the current rules`
+            );
+            return getHostConfig();
+        }
+    }
+
+    ALLOWED_HOSTS.clear();
+    [
+        ...fileConfig.allowedHosts.map((host) => host.trim().toLowerCase()),
+        ...parseList(process.env.PROXY_ALLOWED_HOSTS)
+    ]
+        .filter(Boolean)
+        .forEach((host) => ALLOWED_HOSTS.add(host));
+
+    for (const pattern of Object.keys(HOST_HEADER_TEMPLATES)) {
+        delete HOST_HEADER_TEMPLATES[pattern];
+    }
+    // Env templates win over the ones from the file
+    for (const [pattern, template] of Object.entries({
+        ...fileConfig.headers,
+        ...parseHeadersEnv(process.env.PROXY_HOST_HEADERS)
+    })) {
+        HOST_HEADER_TEMPLATES[pattern.toLowerCase()] = template;
+    }
+
+    loadedAt = new Date().toISOString();
+    return getHostConfig();
+}
+
+/**
+ * Checks if a hostname matches a host pattern
+ */
+function matchesHost(hostname, pattern) {
+    if (pattern.includes('*') || pattern.includes('?')) {
+        return matchesPattern(hostname, pattern);
+    }
+    // Check exact and subdomain matches (e.g., cdn.example.com matches example.com)
+    return hostname === pattern || hostname.endsWith(`.${pattern}`);
+}
+
+/**
+ * Host rules of the enabled providers, taken from their manifests
+ */
+function getProviderRules() {
+    return getAllProviders().filter(
+        (provider) =>
+            provider.hosts.length > 0 && isProviderEnabled(provider.name)
+    );
+}
+
+/**
+ * Checks if the allowlist is in force
+ */
+function isAllowlistEnforced() {
+    return ALLOWED_HOSTS.size > 0 || HOST_CONFIG.enforce;
+}
+
 /**
  * Checks if a host is allowed
  */
@@ -29,25 +166,48 @@ export function isHostAllowed(hostname) {
     }
 
     // If allowlist is empty, allow all hosts
-    if (ALLOWED_HOSTS.size === 0) {
+    if (!isAllowlistEnforced()) {
         return true;
     }
 
-    // Check exact match
-    if (ALLOWED_HOSTS.has(hostname)) {
-        return true;
+    const host = hostname.toLowerCase();
+    for (const pattern of ALLOWED_HOSTS) {
+        if (matchesHost(host, pattern)) {
+            return true;
+        }
+    }
+
+    // Enabled providers bring the hosts their streams are served from
+    return getProviderRules().some((provider) =>
+        provider.hosts.some((pattern) => matchesHost(host, pattern))
+    );
+}
+
+/**
+ * Finds the configured template for a host, the most specific pattern wins
+ */
+function findTemplate(hostname) {
+    // Check exact match first
+    if (HOST_HEADER_TEMPLATES[hostname]) {
+        return HOST_HEADER_TEMPLATES[hostname];
     }
 
-    // Check subdomain matches (e.g., cdn.example.com matches example.com)
+    // Check subdomain matches
     const parts = hostname.split('.');
-    for (let i = 0; i < parts.length; i++) {
+    for (let i = 1; i < parts.length; i++) {
         const domain = parts.slice(i).join('.');
-        if (ALLOWED_HOSTS.has(domain)) {
-            return true;
+        if (HOST_HEADER_TEMPLATES[domain]) {
+            return HOST_HEADER_TEMPLATES[domain];
         }
     }
 
-    return false;
+    // Then globs, in the order they were configured
+    const pattern = Object.keys(HOST_HEADER_TEMPLATES).find(
+        (key) =>
+            (key.includes('*') || key.includes('?')) &&
+            matchesPattern(hostname, key)
+    );
+    return pattern ? HOST_HEADER_TEMPLATES[pattern] : null;
 }
 
 /**
@@ -58,27 +218,16 @@ export function getHeadersForHost(hostname, defaultHeaders = {}) {
         return defaultHeaders;
     }
 
-    // Find matching host template
-    let template = null;
-    
-    // Check exact match first
-    if (HOST_HEADER_TEMPLATES[hostname]) {
-        template = HOST_HEADER_TEMPLATES[hostname];
-    } else {
-        // Check subdomain matches
-        const parts = hostname.split('.');
-        for (let i = 0; i < parts.length; i++) {
-            const domain = parts.slice(i).join('.');
-            if (HOST_HEADER_TEMPLATES[domain]) {
-                template = HOST_HEADER_TEMPLATES[domain];
-                break;
-            }
-        }
-    }
+    const host = hostname.toLowerCase();
+    const provider = getProviderRules().find((rule) =>
+        rule.hosts.some((pattern) => matchesHost(host, pattern))
+    );
+    const template = findTemplate(host);
 
-    if (template) {
-        // Merge template with provided headers (provided headers take precedence)
+    if (template || provider) {
+        // Provider headers, then the configured template, then the provided headers
         return {
+            ...provider?.headers,
             ...template,
             ...defaultHeaders
         };
@@ -87,6 +236,26 @@ export function getHeadersForHost(hostname, defaultHeaders = {}) {
     return defaultHeaders;
 }
 
+/**
+ * Gets the rules in force, for the admin API
+ */
+export function getHostConfig() {
+    return {
+        file: HOST_CONFIG.file || null,
+        watching: Boolean(HOST_CONFIG.file && HOST_CONFIG.watch),
+        loadedAt,
+        lastError,
+        enforced: isAllowlistEnforced(),
+        allowedHosts: [...ALLOWED_HOSTS],
+        headers: { ...HOST_HEADER_TEMPLATES },
+        providers: getProviderRules().map((provider) => ({
+            name: provider.name,
+            hosts: provider.hosts,
+            headers: provider.headers
+        }))
+    };
+}
+
 /**
  * Extracts hostname from URL
  */
@@ -99,3 +268,20 @@ export function extractHostname(urlString) {
     }
 }
 
+reloadHostConfig();
+
+// Pick up edits to the config file without a restart
+if (HOST_CONFIG.file && HOST_CONFIG.watch) {
+    fs.watchFile(
+        HOST_CONFIG.file,
+        { interval: 2000, persistent: false },
+        (current, previous) => {
+            if (current.mtimeMs !== previous.mtimeMs) {
+                console.log(
+                    `[hostConfig] ${HOST_CONFIG.file} changed, reloading`
+                );
+                reloadHostConfig();
+            }
+        }
+    );
+}
@@ -0,0 +1,101 @@
+/**
+ * Cached link validation
+ * Optionally checks cached files before they are served, so dead links are pruned instead of
+ * handed to the player until the cache entry expires.
+ */
+
+import NodeCache from 'node-cache';
+import { DEFAULT_USER_AGENT } from '../proxy/proxyserver.js';
+import { extractOriginalUrl } from '../proxy/parser.js';
+import { extractHostname, getHeadersForHost } from './hostConfig.js';
+import { safeFetch } from './ssrfGuard.js';
+
+// Configuration
+export const VALIDATION_CONFIG = {
+    enabled: process.env.CACHE_VALIDATE_LINKS === 'true',
+    timeoutMs: Number(process.env.CACHE_VALIDATE_TIMEOUT_MS) || 3000,
+    minFiles: Number(process.env.CACHE_VALIDATE_MIN_FILES) || 2, // Re-scrape in the background below this
+    recheckSeconds: Number(process.env.CACHE_VALIDATE_RECHECK_SECONDS) || 60 // Check results are reused this long
+};
+
+// Recent check results by URL, so a popular title is not re-checked on every hit
+const linkStatus = new NodeCache({
+    stdTTL: VALIDATION_CONFIG.recheckSeconds,
+    checkperiod: 60,
+    maxKeys: 10000,
+    useClones: false
+});
+
+/**
+ * Checks a single file with a ranged GET for its first bytes.
+ * Only a definite failure counts as dead: an error status, a playlist that is not a playlist,
+ * a refused connection or a URL the SSRF guard blocks. A timeout keeps the file, the CDN may just be slow.
+ * @param {Object} file - A cached file with `file`, `type` and optional `headers`.
+ * @returns {Promise<boolean>} Whether the file should still be served.
+ */
+export async function checkLink(file) {
+    const url = extractOriginalUrl(file.file);
+    const headers = getHeadersForHost(extractHostname(url), {
+        'User-Agent': DEFAULT_USER_AGENT,
+        ...(file.headers || {}),
+        Range: 'bytes=0-1023'
+    });
+
+    const controller = new AbortController();
+    const timer = setTimeout(
+        () => controller.abort(),
+        VALIDATION_CONFIG.timeoutMs
+    );
+    try {
+        const response = await safeFetch(url, {
+            headers,
+            signal: controller.signal
+        });
+        if (!response.ok) {
+            return false;
+        }
+        if (file.type !== 'hls') {
+            return true;
+        }
+
+        // An HLS link has to answer with a playlist, CDNs like to send HTML error pages with a 200
+        for await (const chunk of response.body) {
+            return chunk
+                .toString('utf8')
+                .replace(/^\uFEFF/, '')
+                .trimStart()
+                .startsWith('#EXTM3U');
+        }
+        return false;
+    } catch (error) {
+        return error.name === 'AbortError';
+    } finally {
+        clearTimeout(timer);
+        controller.abort();
+    }
+}
+
+async function isLinkAlive(file) {
+    const known = linkStatus.get(file.file);
+    if (known !== undefined) {
+        return known;
+    }
+    const alive = await checkLink(file);
+    try {
+        linkStatus.set(file.file, alive);
+    } catch (error) {
+        // ECACHEFULL, the result is just not remembered
+    }
+    return alive;
+}
+
+/**
+ * Checks every file in parallel and drops the dead ones
+ * @param {Array<Object>} files - Cached files.
+ * @returns {Promise<{files: Array<Object>, pruned: number}>} The files still alive and how many were dropped.
+ */
+export async function pruneDeadFiles(files) {
+    const alive = await Promise.all(files.map((file) => isLinkAlive(file)));
+    const remaining = files.filter((file, index) => alive[index]);
+    return { files: remaining, pruned: files.length - remaining.length };
+}
@@ -7,6 +7,9 @@ class MetricsCollector {
     constructor() {
         // Per-host metrics
         this.hostMetrics = new Map();
+
+        // Per-provider scrape metrics
+        this.providerMetrics = new Map();
         
         // Global metrics
         this.globalMetrics = {
@@ -91,6 +94,58 @@ class MetricsCollector {
         }
     }
 
+    /**
+     * Record a provider run in scrapeMedia
+     */
+    recordProviderRun(providerName, success = true, duration = 0) {
+        if (!this.providerMetrics.has(providerName)) {
+            this.providerMetrics.set(providerName, {
+                totalRuns: 0,
+                successfulRuns: 0,
+                timings: []
+            });
+        }
+
+        const providerMetric = this.providerMetrics.get(providerName);
+        providerMetric.totalRuns++;
+        if (success) {
+            providerMetric.successfulRuns++;
+        }
+        if (duration > 0) {
+            providerMetric.timings.push(duration);
+            // Keep only last 1000 timings
+            if (providerMetric.timings.length > 1000) {
+                providerMetric.timings.shift();
+            }
+        }
+    }
+
+    /**
+     * Get the success rate of a provider between 0 and 1, null if it never ran
+     */
+    getProviderSuccessRate(providerName) {
+        const providerMetric = this.providerMetrics.get(providerName);
+        if (!providerMetric || providerMetric.totalRuns === 0) {
+            return null;
+        }
+        return providerMetric.successfulRuns / providerMetric.totalRuns;
+    }
+
+    /**
+     * Get all provider metrics
+     */
+    getAllProviderMetrics() {
+        return Array.from(this.providerMetrics.entries()).map(([provider, providerMetric]) => ({
+            provider,
+            totalRuns: providerMetric.totalRuns,
+            successfulRuns: providerMetric.successfulRuns,
+            successRate: (this.getProviderSuccessRate(provider) * 100).toFixed(2) + '%',
+            meanTime: providerMetric.timings.length > 0
+                ? (providerMetric.timings.reduce((a, b) => a + b, 0) / providerMetric.timings.length).toFixed(2) + 'ms'
+                : 'N/A'
+        }));
+    }
+
     /**
      * Get metrics for a specific host
      */
@@ -169,6 +224,7 @@ class MetricsCollector {
      */
     reset() {
         this.hostMetrics.clear();
+        this.providerMetrics.clear();
         this.globalMetrics = {
             totalRequests: 0,
             totalErrors: 0,
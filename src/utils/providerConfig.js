@@ -3,25 +3,70 @@
  * Allows enabling/disabling providers at runtime
  */
 
-// Provider enable/disable flags
-// Set to false to disable a provider
-export const PROVIDER_CONFIG = {
-    getTwoEmbed: true,
-    getAutoembed: true,
-    get111Movies: true,
-    getVidSrcCC: true,
-    getVidSrc: true,
-    getVidrock: true,
-    getCinemaOS: true,
-    getMultiembed: true,
-    getVidsrcWtf: true,
-    getVidZee: true,
-    getXprime: false, // Already disabled in code
-    getPrimewire: false, // Already disabled in code
-    getWyzie: true,
-    getLibre: true
+import fs from 'fs';
+import path from 'path';
+import { getAllProviders, isRegisteredProvider } from './providerRegistry.js';
+
+// Provider enable/disable flags, seeded from the `enabled` flag of each provider manifest
+// To change the default of a provider, edit its manifest.js
+export const PROVIDER_CONFIG = Object.fromEntries(
+    getAllProviders().map((provider) => [provider.name, provider.enabled])
+);
+
+// Optional JSON file the runtime kill-switch state is saved to, so it survives restarts
+const PROVIDER_STATE_FILE = process.env.PROVIDER_STATE_FILE;
+
+loadProviderState();
+
+// Default time budget for a single provider, in milliseconds
+// Can be overridden with the PROVIDER_TIMEOUT_MS env variable
+export const DEFAULT_PROVIDER_TIMEOUT =
+    Number(process.env.PROVIDER_TIMEOUT_MS) || 15000;
+
+// Per-provider time budgets, in milliseconds (takes precedence over the default)
+// Extra entries can be passed as JSON in PROVIDER_TIMEOUTS, e.g. {"getVidZee": 8000}
+export const PROVIDER_TIMEOUTS = {
+    getVidSrc: 25000, // Cloudflare fallback is slow
+    getAutoembed: 20000, // Walks through up to 15 servers one by one
+    ...parseTimeoutsEnv(process.env.PROVIDER_TIMEOUTS)
 };
 
+// Upper bound for a whole scrape, in milliseconds. 0 disables it
+// Can be overridden with the SCRAPE_DEADLINE_MS env variable
+export const SCRAPE_DEADLINE =
+    process.env.SCRAPE_DEADLINE_MS !== undefined
+        ? Number(process.env.SCRAPE_DEADLINE_MS) || 0
+        : 30000;
+
+// Episodes scraped at the same time by a whole-season scrape
+// Can be overridden with the SEASON_SCRAPE_CONCURRENCY env variable
+export const SEASON_SCRAPE_CONCURRENCY =
+    Number(process.env.SEASON_SCRAPE_CONCURRENCY) || 3;
+
+function parseTimeoutsEnv(value) {
+    if (!value) return {};
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        console.warn('[providerConfig] PROVIDER_TIMEOUTS is not valid JSON, ignoring it');
+        return {};
+    }
+}
+
+/**
+ * Gets the time budget of a provider in milliseconds
+ */
+export function getProviderTimeout(providerName) {
+    return Number(PROVIDER_TIMEOUTS[providerName]) || DEFAULT_PROVIDER_TIMEOUT;
+}
+
+/**
+ * Sets the time budget of a provider in milliseconds
+ */
+export function setProviderTimeout(providerName, timeoutMs) {
+    PROVIDER_TIMEOUTS[providerName] = timeoutMs;
+}
+
 /**
  * Checks if a provider is enabled
  */
@@ -34,6 +79,7 @@ export function isProviderEnabled(providerName) {
  */
 export function enableProvider(providerName) {
     PROVIDER_CONFIG[providerName] = true;
+    saveProviderState();
 }
 
 /**
@@ -41,6 +87,7 @@ export function enableProvider(providerName) {
  */
 export function disableProvider(providerName) {
     PROVIDER_CONFIG[providerName] = false;
+    saveProviderState();
 }
 
 /**
@@ -50,3 +97,47 @@ export function getProviderStatuses() {
     return { ...PROVIDER_CONFIG };
 }
 
+/**
+ * Applies the saved kill-switch state from PROVIDER_STATE_FILE, if there is one
+ */
+function loadProviderState() {
+    if (!PROVIDER_STATE_FILE || !fs.existsSync(PROVIDER_STATE_FILE)) {
+        return;
+    }
+
+    try {
+        const saved = JSON.parse(fs.readFileSync(PROVIDER_STATE_FILE, 'utf8'));
+        for (const [providerName, enabled] of Object.entries(saved)) {
+            // Providers that were removed since the file was written are ignored
+            if (isRegisteredProvider(providerName)) {
+                PROVIDER_CONFIG[providerName] = enabled === true;
+            }
+        }
+    } catch (e) {
+        console.warn(
+            `[providerConfig] Could not read ${PROVIDER_STATE_FILE}, using the defaults: ${e.message}`
+        );
+    }
+}
+
+/**
+ * Writes the current kill-switch state to PROVIDER_STATE_FILE, if one is configured
+ */
+function saveProviderState() {
+    if (!PROVIDER_STATE_FILE) {
+        return;
+    }
+
+    try {
+        fs.mkdirSync(path.dirname(PROVIDER_STATE_FILE), { recursive: true });
+        fs.writeFileSync(
+            PROVIDER_STATE_FILE,
+            JSON.stringify(PROVIDER_CONFIG, null, 4)
+        );
+    } catch (e) {
+        console.error(
+            `[providerConfig] Could not write ${PROVIDER_STATE_FILE}: ${e.message}`
+        );
+    }
+}
+
@@ -0,0 +1,142 @@
+/**
+ * Provider registry
+ * Discovers provider manifests at startup so adding a provider only means adding its folder
+ *
+ * Every folder under src/controllers/providers/ with a manifest.js is picked up, plus
+ * src/controllers/subs/manifest.js. A manifest default-exports one object (or an array) with:
+ * - name: unique provider name, used by the kill-switch and the API (e.g. "getVidSrc")
+ * - fn: async (media, signal) => { files, subtitles } | ErrorObject
+ * - mediaTypes: media types it can scrape ("movie", "tv")
+ * - requires: ids the media must have ("tmdb", "imdb")
+ * - enabled: whether it is enabled by default
+ * - priority: lower runs first and wins when two providers return the same file
+ * - hosts: host patterns its streams are served from, added to the proxy allowlist while it is enabled
+ * - headers: default headers its streams need (Referer, Origin, ...), also sent to its hosts by the proxy
+ * - kind: "sources" (default) or "subtitles"
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const CONTROLLERS_DIR = fileURLToPath(
+    new URL('../controllers/', import.meta.url)
+);
+
+/**
+ * Finds every manifest.js file the registry should load
+ */
+function findManifestFiles() {
+    const files = [];
+    const providersDir = path.join(CONTROLLERS_DIR, 'providers');
+
+    for (const entry of fs.readdirSync(providersDir, { withFileTypes: true })) {
+        if (!entry.isDirectory()) continue;
+        const manifestFile = path.join(providersDir, entry.name, 'manifest.js');
+        if (fs.existsSync(manifestFile)) {
+            files.push(manifestFile);
+        }
+    }
+
+    const subsManifest = path.join(CONTROLLERS_DIR, 'subs', 'manifest.js');
+    if (fs.existsSync(subsManifest)) {
+        files.push(subsManifest);
+    }
+
+    return files;
+}
+
+/**
+ * Validates a manifest and fills in the defaults
+ */
+function normalizeManifest(manifest, file) {
+    if (!manifest || typeof manifest.name !== 'string') {
+        throw new Error(`[providerRegistry] ${file} has no provider name`);
+    }
+    if (typeof manifest.fn !== 'function') {
+        throw new Error(
+            `[providerRegistry] ${manifest.name} in ${file} has no fn`
+        );
+    }
+
+    return Object.freeze({
+        name: manifest.name,
+        fn: manifest.fn,
+        mediaTypes: manifest.mediaTypes || ['movie', 'tv'],
+        requires: manifest.requires || ['tmdb'],
+        enabled: manifest.enabled !== false,
+        priority: Number.isFinite(manifest.priority) ? manifest.priority : 100,
+        hosts: (manifest.hosts || []).map((host) => host.toLowerCase()),
+        headers: manifest.headers || {},
+        kind: manifest.kind || 'sources'
+    });
+}
+
+/**
+ * Imports every manifest and returns them sorted by priority
+ */
+async function discoverProviders() {
+    const providers = new Map();
+
+    for (const file of findManifestFiles()) {
+        const module = await import(pathToFileURL(file).href);
+        const manifests = Array.isArray(module.default)
+            ? module.default
+            : [module.default];
+
+        for (const manifest of manifests) {
+            const provider = normalizeManifest(manifest, file);
+            if (providers.has(provider.name)) {
+                throw new Error(
+                    `[providerRegistry] Duplicate provider name ${provider.name} in ${file}`
+                );
+            }
+            providers.set(provider.name, provider);
+        }
+    }
+
+    return Array.from(providers.values()).sort(
+        (a, b) => a.priority - b.priority || a.name.localeCompare(b.name)
+    );
+}
+
+const registry = await discoverProviders();
+
+/**
+ * Gets every registered provider, sorted by priority
+ */
+export function getAllProviders() {
+    return [...registry];
+}
+
+/**
+ * Gets a registered provider by name
+ */
+export function getProvider(name) {
+    return registry.find((provider) => provider.name === name);
+}
+
+/**
+ * Checks if a provider with this name is registered
+ */
+export function isRegisteredProvider(name) {
+    return registry.some((provider) => provider.name === name);
+}
+
+/**
+ * Checks if a provider can scrape the given media (type and required ids)
+ */
+export function supportsMedia(provider, media) {
+    return (
+        provider.mediaTypes.includes(media.type) &&
+        provider.requires.every((id) => Boolean(media[id]))
+    );
+}
+
+/**
+ * Public view of a provider, without its function
+ */
+export function describeProvider(provider) {
+    const { fn, ...manifest } = provider;
+    return manifest;
+}
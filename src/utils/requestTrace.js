@@ -0,0 +1,55 @@
+/**
+ * Per-request debug tracing
+ * Records which upstream URLs a provider hit while it ran, only for scrapes that asked for a trace.
+ * Both HTTP stacks are covered: node-fetch, axios and got go through `http`, global fetch through undici.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import diagnosticsChannel from 'diagnostics_channel';
+
+const traceStorage = new AsyncLocalStorage();
+
+/**
+ * Adds a URL to the trace of the provider that is currently running, if any
+ */
+function recordUrl(url) {
+    traceStorage.getStore()?.urls.push(url);
+}
+
+diagnosticsChannel.subscribe('http.client.request.start', ({ request }) => {
+    const host = request.getHeader('host') || request.host;
+    recordUrl(`${request.protocol}//${host}${request.path}`);
+});
+
+diagnosticsChannel.subscribe('undici:request:create', ({ request }) => {
+    recordUrl(`${request.origin}${request.path}`);
+});
+
+/**
+ * Creates an empty trace for one provider run
+ * @param {string} provider - The provider name.
+ * @returns {{provider: string, urls: Array<string>, notes: Array<string>}}
+ */
+export function createProviderTrace(provider) {
+    return { provider, urls: [], notes: [] };
+}
+
+/**
+ * Runs a function with a provider trace attached. Every request made from inside it,
+ * however deep in the async call chain, is added to `trace.urls`.
+ * @param {Object} trace - A trace from createProviderTrace.
+ * @param {Function} fn - The function to run.
+ * @returns {*} Whatever `fn` returns.
+ */
+export function runWithTrace(trace, fn) {
+    return traceStorage.run(trace, fn);
+}
+
+/**
+ * Adds a note to the trace of the provider that is currently running.
+ * Does nothing outside a traced run, so it is safe to call from any scraper or extractor.
+ * @param {string} message - The note.
+ */
+export function addTraceNote(message) {
+    traceStorage.getStore()?.notes.push(message);
+}
@@ -5,7 +5,7 @@
 
 import { normalizeUrl, validateUrlSafety } from './urlNormalizer.js';
 import { extractHostname, isHostAllowed } from './hostConfig.js';
-import fetch from 'node-fetch';
+import { safeFetch, assertPublicUrl } from './ssrfGuard.js';
 import { DEFAULT_USER_AGENT } from '../proxy/proxyserver.js';
 
 /**
@@ -111,13 +111,14 @@ async function tryResolveUrl(urlString, headers) {
         if (!isHostAllowed(hostname)) {
             throw new Error(`HOST_NOT_ALLOWED: Host ${hostname} is not in allowlist`);
         }
+        await assertPublicUrl(normalized);
 
         // Verify it's actually an m3u8 URL by checking the response
         try {
             const controller = new AbortController();
             const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
             
-            const response = await fetch(normalized, {
+            const response = await safeFetch(normalized, {
                 headers: {
                     'User-Agent': DEFAULT_USER_AGENT,
                     ...headers
@@ -154,6 +155,7 @@ async function tryResolveUrl(urlString, headers) {
     if (!isHostAllowed(hostname)) {
         throw new Error(`HOST_NOT_ALLOWED: Host ${hostname} is not in allowlist`);
     }
+    await assertPublicUrl(normalized);
 
     return normalized;
 }
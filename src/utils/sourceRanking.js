@@ -0,0 +1,138 @@
+/**
+ * Source normalization and ranking
+ * Brings every provider's files to one schema and orders them by a scoring function
+ */
+
+import { metrics } from './metrics.js';
+import { getProvider } from './providerRegistry.js';
+
+export const SORT_MODES = ['quality', 'reliability'];
+
+// How much each signal counts per sort mode
+// resolution: quality / 2160, reliability: provider success rate, hls: 1 for HLS streams
+const SCORING_WEIGHTS = {
+    quality: { resolution: 1, reliability: 0.3, hls: 0.1 },
+    reliability: { resolution: 0.3, reliability: 1, hls: 0.1 }
+};
+
+// Assumed for files without a known resolution, and for providers that never ran
+const UNKNOWN_QUALITY = 720;
+const UNKNOWN_SUCCESS_RATE = 0.5;
+
+let scoringFunction = defaultScore;
+
+/**
+ * Parses a quality label into a vertical resolution
+ * @param {string|number} value - e.g. 1080, "1080p", "1920x1080", "4K", "FHD"
+ * @returns {number|null} The resolution, or null if it is unknown
+ */
+export function parseQuality(value) {
+    if (typeof value === 'number') {
+        return value > 0 ? value : null;
+    }
+    if (!value || typeof value !== 'string') {
+        return null;
+    }
+
+    const label = value.toUpperCase();
+    if (label.includes('4K') || label.includes('UHD')) return 2160;
+    if (label.includes('2K')) return 1440;
+    if (label.includes('FHD')) return 1080;
+
+    const dimensions = label.match(/(\d{3,4})\s*X\s*(\d{3,4})/);
+    if (dimensions) return parseInt(dimensions[2], 10);
+
+    const resolution = label.match(/(\d{3,4})\s*P?/);
+    if (resolution) return parseInt(resolution[1], 10);
+
+    if (label === 'HD') return 720;
+    if (label === 'SD') return 480;
+    return null;
+}
+
+/**
+ * Works out the stream type from the declared type and the URL
+ */
+function detectType(file) {
+    const url = file.file.toLowerCase();
+    const declared =
+        typeof file.type === 'string' ? file.type.toLowerCase() : '';
+
+    if (declared === 'hls' || declared === 'm3u8' || url.includes('.m3u8')) {
+        return 'hls';
+    }
+    if (declared === 'mp4' || url.includes('.mp4')) {
+        return 'mp4';
+    }
+    return declared || 'unknown';
+}
+
+/**
+ * Normalizes a provider file to the common schema
+ * @param {Object} file - A file as returned by a provider.
+ * @param {string} provider - Name of the provider that returned it.
+ * @returns {Object} The file with numeric `quality`, `type`, `provider`, `lang` and `isProxied`.
+ */
+export function normalizeFile(file, provider) {
+    const quality =
+        parseQuality(file.quality) ??
+        parseQuality(file.file.match(/[^\d](\d{3,4}p)[^\w]/i)?.[1]);
+
+    return {
+        ...file,
+        type: detectType(file),
+        quality,
+        provider,
+        lang: file.lang || 'unknown',
+        isProxied: false
+    };
+}
+
+/**
+ * Default scoring function
+ * @param {Object} file - A normalized file.
+ * @param {string} sort - One of SORT_MODES.
+ * @returns {number} Higher ranks first.
+ */
+export function defaultScore(file, sort) {
+    const weights = SCORING_WEIGHTS[sort] || SCORING_WEIGHTS.quality;
+    const resolution = Math.min(file.quality || UNKNOWN_QUALITY, 2160) / 2160;
+    const successRate =
+        metrics.getProviderSuccessRate(file.provider) ?? UNKNOWN_SUCCESS_RATE;
+
+    return (
+        weights.resolution * resolution +
+        weights.reliability * successRate +
+        weights.hls * (file.type === 'hls' ? 1 : 0)
+    );
+}
+
+/**
+ * Replaces the scoring function, e.g. to weigh languages. Pass nothing to restore the default.
+ * @param {Function} [fn] - (file, sort) => number, higher ranks first.
+ */
+export function setScoringFunction(fn) {
+    scoringFunction = typeof fn === 'function' ? fn : defaultScore;
+}
+
+/**
+ * Sorts normalized files by score. Ties are broken by provider priority and then the URL,
+ * so the same input always gives the same order.
+ * @param {Array<Object>} files - Normalized files.
+ * @param {string} [sort] - One of SORT_MODES.
+ * @returns {Array<Object>} A new, sorted array.
+ */
+export function rankFiles(files, sort = 'quality') {
+    const priorityOf = (file) =>
+        getProvider(file.provider)?.priority ?? Infinity;
+
+    return files
+        .map((file) => ({ file, score: scoringFunction(file, sort) }))
+        .sort(
+            (a, b) =>
+                b.score - a.score ||
+                priorityOf(a.file) - priorityOf(b.file) ||
+                a.file.file.localeCompare(b.file.file)
+        )
+        .map(({ file }) => file);
+}
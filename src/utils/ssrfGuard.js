@@ -0,0 +1,278 @@
+/**
+ * SSRF protection for the proxy routes and the resolver
+ * Upstream URLs come from clients, so every connection is checked against private address
+ * ranges after DNS resolution. The check runs inside the agent's lookup, so the address that
+ * was checked is the address that is connected to (no DNS rebinding between check and use).
+ * Redirects are followed by hand and every hop is checked again.
+ */
+
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import fetch, { Headers } from 'node-fetch';
+
+function parseList(value) {
+    return (value || '')
+        .split(',')
+        .map((item) => item.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+// Configuration
+export const SSRF_CONFIG = {
+    enabled: process.env.SSRF_PROTECTION !== 'false',
+    trustedHosts: parseList(process.env.SSRF_TRUSTED_HOSTS), // Internal hosts that may be proxied anyway, subdomains included
+    maxRedirects: Number(process.env.SSRF_MAX_REDIRECTS) || 5
+};
+
+// Addresses that never belong to a public streaming host
+const BLOCKED_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8], // "This" network
+    ['10.0.0.0', 8], // RFC1918
+    ['100.64.0.0', 10], // Carrier-grade NAT
+    ['127.0.0.0', 8], // Loopback
+    ['169.254.0.0', 16], // Link-local, cloud metadata
+    ['172.16.0.0', 12], // RFC1918
+    ['192.0.0.0', 24], // IETF protocol assignments
+    ['192.0.2.0', 24], // Documentation (TEST-NET-1)
+    ['192.168.0.0', 16], // RFC1918
+    ['198.18.0.0', 15], // Benchmarking
+    ['198.51.100.0', 24], // Documentation (TEST-NET-2)
+    ['203.0.113.0', 24], // Documentation (TEST-NET-3)
+    ['224.0.0.0', 4], // Multicast
+    ['240.0.0.0', 4] // Reserved and broadcast
+].forEach(([address, prefix]) =>
+    BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4')
+);
+[
+    ['::', 128], // Unspecified
+    ['::1', 128], // Loopback
+    ['64:ff9b:1::', 48], // Local-use NAT64
+    ['100::', 64], // Discard
+    ['2001::', 32], // Teredo, embeds an obfuscated IPv4 address
+    ['fc00::', 7], // Unique local (ULA)
+    ['fe80::', 10], // Link-local
+    ['fec0::', 10], // Site-local, deprecated but still routed on some networks
+    ['ff00::', 8] // Multicast
+].forEach(([address, prefix]) =>
+    BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6')
+);
+
+/**
+ * Splits an IPv6 address into its eight 16-bit groups
+ */
+function expandIpv6(address) {
+    let text = address.toLowerCase();
+    // A trailing dotted quad stands for the last two groups
+    const quad = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+    if (quad) {
+        const [a, b, c, d] = quad.slice(1).map(Number);
+        text = `${text.slice(0, quad.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+    }
+
+    const [left, right] = text.split('::');
+    const head = left ? left.split(':') : [];
+    if (right === undefined) {
+        return head.map((group) => parseInt(group, 16));
+    }
+    const tail = right ? right.split(':') : [];
+    return [
+        ...head,
+        ...Array(8 - head.length - tail.length).fill('0'),
+        ...tail
+    ].map((group) => parseInt(group, 16));
+}
+
+/**
+ * Gets the IPv4 address carried inside an IPv6 one: IPv4-mapped (::ffff:a.b.c.d),
+ * IPv4-compatible (::a.b.c.d), NAT64 (64:ff9b::/96) and 6to4 (2002::/16). Null for anything else.
+ */
+function getEmbeddedIpv4(address) {
+    const groups = expandIpv6(address);
+    const toIpv4 = (high, low) =>
+        [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+    const isZero = (from, to) =>
+        groups.slice(from, to).every((group) => group === 0);
+
+    if (isZero(0, 5) && (groups[5] === 0xffff || groups[5] === 0)) {
+        return toIpv4(groups[6], groups[7]);
+    }
+    if (groups[0] === 0x64 && groups[1] === 0xff9b && isZero(2, 6)) {
+        return toIpv4(groups[6], groups[7]);
+    }
+    if (groups[0] === 0x2002) {
+        return toIpv4(groups[1], groups[2]);
+    }
+    return null;
+}
+
+/**
+ * Checks if an IP address is loopback, link-local, private (RFC1918, ULA) or otherwise not public.
+ * IPv6 addresses that carry an IPv4 address are judged by that address.
+ * @param {string} address - An IPv4 or IPv6 address.
+ * @returns {boolean} True if the address must not be connected to.
+ */
+export function isPrivateAddress(address) {
+    // Zone ids (fe80::1%eth0) do not change the address
+    const ip = String(address).split('%')[0];
+    const family = net.isIP(ip);
+    if (family === 0) return true;
+    if (family === 4) return BLOCKED_RANGES.check(ip, 'ipv4');
+
+    const embedded = getEmbeddedIpv4(ip);
+    if (embedded && isPrivateAddress(embedded)) return true;
+    return BLOCKED_RANGES.check(ip, 'ipv6');
+}
+
+/**
+ * Checks if a host is configured as trusted in SSRF_TRUSTED_HOSTS
+ */
+export function isTrustedHost(hostname) {
+    const host = String(hostname || '')
+        .toLowerCase()
+        .replace(/^\[|\]$/g, '');
+    return SSRF_CONFIG.trustedHosts.some(
+        (trusted) => host === trusted || host.endsWith(`.${trusted}`)
+    );
+}
+
+function blockedError(hostname, address) {
+    const error = new Error(
+        `SSRF_BLOCKED: ${hostname} resolves to the non-public address ${address}`
+    );
+    error.code = 'SSRF_BLOCKED';
+    return error;
+}
+
+/**
+ * dns.lookup replacement for the agents, fails for hosts that resolve to a non-public address
+ */
+function guardedLookup(hostname, options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        if (!isTrustedHost(hostname)) {
+            const blocked = addresses.find(({ address }) =>
+                isPrivateAddress(address)
+            );
+            if (blocked)
+                return callback(blockedError(hostname, blocked.address));
+        }
+
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+const httpAgent = new http.Agent({ keepAlive: true, lookup: guardedLookup });
+const httpsAgent = new https.Agent({ keepAlive: true, lookup: guardedLookup });
+
+/**
+ * Checks the parts of a URL that the lookup never sees: the protocol and IP literal hosts
+ */
+function checkUrl(url) {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw new Error('URL_MALFORMED: Only HTTP/HTTPS URLs are allowed');
+    }
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && !isTrustedHost(host) && isPrivateAddress(host)) {
+        throw blockedError(host, host);
+    }
+    return parsed;
+}
+
+/**
+ * Resolves the URL's host and checks every address it resolves to, for callers that only
+ * hand the URL on instead of fetching it
+ * @param {string} url - The URL to check.
+ * @throws {Error} SSRF_BLOCKED if the host is not public.
+ */
+export async function assertPublicUrl(url) {
+    if (!SSRF_CONFIG.enabled) return;
+
+    const parsed = checkUrl(url);
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) || isTrustedHost(host)) return;
+
+    const addresses = await dns.promises.lookup(host, { all: true });
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) throw blockedError(host, blocked.address);
+}
+
+// Credentials and the caller's own origin are not sent on to another origin
+const CROSS_ORIGIN_DROPPED_HEADERS = [
+    'authorization',
+    'cookie',
+    'origin',
+    'referer'
+];
+
+/**
+ * Copies the headers without the ones that must not follow a redirect to another origin
+ */
+function stripCrossOriginHeaders(headers) {
+    const stripped = new Headers(headers);
+    CROSS_ORIGIN_DROPPED_HEADERS.forEach((name) => stripped.delete(name));
+    return stripped;
+}
+
+/**
+ * node-fetch with SSRF protection: connections only go to public addresses and redirects are
+ * followed by hand (up to SSRF_CONFIG.maxRedirects), each hop checked again. Like node-fetch's own
+ * redirects, a hop to another origin leaves out the Authorization, Cookie, Origin and Referer headers.
+ * @param {string} url - The upstream URL.
+ * @param {Object} [options] - node-fetch options. `redirect` is ignored while protection is on.
+ * @returns {Promise<Response>} The response of the last hop.
+ */
+export async function safeFetch(url, options = {}) {
+    if (!SSRF_CONFIG.enabled) {
+        return fetch(url, options);
+    }
+
+    let currentUrl = url;
+    let { method = 'GET', body, headers } = options;
+    for (let hop = 0; ; hop++) {
+        checkUrl(currentUrl);
+        const response = await fetch(currentUrl, {
+            ...options,
+            method,
+            body,
+            headers,
+            redirect: 'manual',
+            agent: (parsed) =>
+                parsed.protocol === 'https:' ? httpsAgent : httpAgent
+        });
+
+        const location = response.headers.get('location');
+        if (![301, 302, 303, 307, 308].includes(response.status) || !location) {
+            return response;
+        }
+        response.body?.resume();
+        if (hop >= SSRF_CONFIG.maxRedirects) {
+            throw new Error(
+                `SSRF_BLOCKED: More than ${SSRF_CONFIG.maxRedirects} redirects`
+            );
+        }
+
+        // Same method changes a browser would make
+        if (
+            response.status === 303 ||
+            ([301, 302].includes(response.status) && method === 'POST')
+        ) {
+            method = method === 'HEAD' ? 'HEAD' : 'GET';
+            body = undefined;
+        }
+        const nextUrl = new URL(location, currentUrl);
+        if (nextUrl.origin !== new URL(currentUrl).origin) {
+            headers = stripCrossOriginHeaders(headers);
+        }
+        currentUrl = nextUrl.href;
+    }
+}
@@ -0,0 +1,152 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTmdbFetch } from '../src/helpers/tmdb.js';
+import {
+    disableProvider,
+    getProviderStatuses,
+    enableProvider
+} from '../src/utils/providerConfig.js';
+import { flushCache, getCacheKey, setToCache } from '../src/cache/cache.js';
+import {
+    runCacheWarm,
+    WARM_CONFIG,
+    WARM_SOURCES
+} from '../src/utils/cacheWarmer.js';
+
+// Canned TMDB answers, by path
+const TMDB = {
+    '/3/movie/550': {
+        original_title: 'Fight Club',
+        release_date: '1999-10-15'
+    },
+    '/3/movie/550/external_ids': { imdb_id: 'tt0137523' },
+    '/3/movie/551': {
+        original_title: 'The Poseidon Adventure',
+        release_date: '1972-12-13'
+    },
+    '/3/movie/551/external_ids': { imdb_id: 'tt0069113' },
+    '/3/tv/1399': {
+        name: 'Game of Thrones',
+        last_episode_to_air: { season_number: 8, episode_number: 6 }
+    },
+    '/3/tv/1399/external_ids': { imdb_id: 'tt0944947' },
+    '/3/tv/1399/season/8/episode/6': {
+        name: 'The Iron Throne',
+        air_date: '2019-05-19'
+    },
+    '/3/tv/airing_today': {
+        results: [{ id: 1399, name: 'Game of Thrones' }],
+        total_pages: 1
+    },
+    '/3/trending/all/day': {
+        results: [
+            { id: 550, media_type: 'movie', title: 'Fight Club' },
+            { id: 1399, media_type: 'tv', name: 'Game of Thrones' },
+            { id: 287, media_type: 'person', name: 'Brad Pitt' }
+        ],
+        total_pages: 1
+    }
+};
+
+// Paths the warmer asked TMDB for
+const requested = [];
+
+function fakeTmdbFetch(url) {
+    requested.push(new URL(url).pathname);
+    const body = TMDB[new URL(url).pathname];
+    return Promise.resolve(
+        new Response(JSON.stringify(body ?? {}), { status: body ? 200 : 404 })
+    );
+}
+
+describe('cache warmer', () => {
+    const statuses = getProviderStatuses();
+
+    // With every provider off, a warmed title ends up as an empty (negative) cache entry
+    before(() => {
+        setTmdbFetch(fakeTmdbFetch);
+        WARM_CONFIG.concurrency = 1;
+        Object.keys(statuses).forEach((name) => disableProvider(name));
+    });
+
+    after(async () => {
+        setTmdbFetch();
+        for (const [name, enabled] of Object.entries(statuses)) {
+            if (enabled) enableProvider(name);
+        }
+        await flushCache();
+    });
+
+    test('warms each title of the watch list and the TMDB lists once', async () => {
+        const run = await runCacheWarm({
+            sources: WARM_SOURCES,
+            watchList: ['movie:550', 'tv:1399', 'show:1', 'tv:1399:8']
+        });
+
+        // Airing today and trending only repeat the watch list, the person is left out
+        assert.equal(run.total, 2);
+        assert.equal(run.done, 2);
+        assert.equal(run.empty, 2);
+        assert.equal(run.failed, 0);
+        assert.deepEqual(run.inProgress, []);
+        assert.ok(run.finishedAt);
+        assert.deepEqual(
+            run.errors.map(({ title }) => title),
+            ['show:1', 'tv:1399:8']
+        );
+        // A show without an episode gets its latest aired one
+        assert.ok(requested.includes('/3/tv/1399/season/8/episode/6'));
+    });
+
+    test('skips titles with a fresh result and scrapes empty ones again', async () => {
+        await setToCache(getCacheKey({ type: 'movie', tmdb: '550' }), {
+            files: [{ file: 'https://cdn.example/550.m3u8', type: 'hls' }],
+            subtitles: []
+        });
+
+        const run = await runCacheWarm({
+            sources: ['watchlist'],
+            watchList: ['movie:550', 'tv:1399']
+        });
+
+        assert.equal(run.skipped, 1);
+        assert.equal(run.empty, 1);
+    });
+
+    test('counts titles TMDB cannot find as failed', async () => {
+        const run = await runCacheWarm({
+            sources: ['watchlist'],
+            watchList: ['movie:551', 'movie:404']
+        });
+
+        assert.equal(run.empty, 1);
+        assert.equal(run.failed, 1);
+        assert.deepEqual(
+            run.errors.map(({ title }) => title),
+            ['movie:404']
+        );
+    });
+
+    test('carries on when a TMDB list cannot be fetched', async () => {
+        setTmdbFetch((url) =>
+            url.includes('/trending/')
+                ? Promise.resolve(new Response('{}', { status: 500 }))
+                : fakeTmdbFetch(url)
+        );
+        try {
+            const run = await runCacheWarm({
+                sources: ['trending', 'airing_today'],
+                watchList: []
+            });
+
+            assert.equal(run.total, 1);
+            assert.equal(run.empty, 1);
+            assert.deepEqual(
+                run.errors.map(({ title }) => title),
+                ['trending']
+            );
+        } finally {
+            setTmdbFetch(fakeTmdbFetch);
+        }
+    });
+});
@@ -0,0 +1,79 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+import { createFileAdapter } from '../src/cache/adapters/fileAdapter.js';
+
+describe('file cache adapter', () => {
+    let dir;
+    let store;
+
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cinepro-cache-'));
+        store = createFileAdapter('scrape', { dir });
+    });
+
+    after(async () => {
+        await store.close();
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    test('stores values and reads them back, Buffers included', async () => {
+        const value = { files: [{ file: 'https://cdn.example/a.m3u8' }] };
+        const segment = { data: Buffer.from([0, 1, 255]) };
+
+        assert.equal(await store.set('movie:550', value, 60), true);
+        assert.equal(await store.set('segment', segment, 60), true);
+        assert.deepEqual(await store.get('movie:550'), value);
+        assert.deepEqual((await store.get('segment')).data, segment.data);
+        assert.equal(await store.get('movie:551'), undefined);
+    });
+
+    test('survives a new adapter on the same directory', async () => {
+        await store.set('kept', 'value', 60);
+        const reopened = createFileAdapter('scrape', { dir });
+        try {
+            assert.equal(await reopened.get('kept'), 'value');
+        } finally {
+            await reopened.close();
+        }
+    });
+
+    test('lets entries expire and leaves them out of keys', async () => {
+        await store.set('short', 'value', 0.05);
+        await sleep(80);
+
+        assert.equal(await store.get('short'), undefined);
+        assert.ok(!(await store.keys()).includes('short'));
+    });
+
+    test('deletes keys, lists and flushes only its own namespace', async () => {
+        const other = createFileAdapter('other', { dir });
+        try {
+            await store.flush();
+            await store.set('a', 1, 60);
+            await store.set('b', 2, 60);
+            await other.set('a', 'kept', 60);
+
+            assert.deepEqual((await store.keys()).sort(), ['a', 'b']);
+            assert.equal(await store.del(['a', 'missing']), 1);
+            assert.deepEqual(await store.keys(), ['b']);
+
+            await store.flush();
+            assert.deepEqual(await store.keys(), []);
+            assert.equal(await other.get('a'), 'kept');
+        } finally {
+            await other.close();
+        }
+    });
+
+    test('treats a corrupt file as a miss', async () => {
+        await store.set('broken', 'value', 60);
+        const [name] = await fs.readdir(path.join(dir, 'scrape'));
+        await fs.writeFile(path.join(dir, 'scrape', name), '{not json');
+
+        assert.equal(await store.get('broken'), undefined);
+    });
+});
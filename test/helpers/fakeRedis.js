@@ -0,0 +1,188 @@
+/**
+ * In-process stand-in for Redis, speaking just enough RESP for the Redis cache adapter:
+ * AUTH, SELECT, GET, SET (with PX), DEL and SCAN (with MATCH and COUNT).
+ */
+
+import net from 'net';
+
+const OK = { status: 'OK' };
+
+/**
+ * Encodes a reply: null is a nil bulk string, Errors are error replies
+ */
+function encodeReply(value) {
+    if (value === null) return '$-1\r\n';
+    if (value === OK) return '+OK\r\n';
+    if (value instanceof Error) return `-${value.message}\r\n`;
+    if (typeof value === 'number') return `:${value}\r\n`;
+    if (Array.isArray(value)) {
+        return `*${value.length}\r\n${value.map(encodeReply).join('')}`;
+    }
+    return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+}
+
+/**
+ * Parses one command (an array of bulk strings) from the buffer
+ * @returns {{args: string[], offset: number}|null} null if the command is incomplete.
+ */
+function parseCommand(buffer, offset) {
+    let lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+    const count = Number(buffer.toString('utf8', offset + 1, lineEnd));
+    let position = lineEnd + 2;
+
+    const args = [];
+    for (let i = 0; i < count; i++) {
+        lineEnd = buffer.indexOf('\r\n', position);
+        if (lineEnd === -1) return null;
+        const length = Number(buffer.toString('utf8', position + 1, lineEnd));
+        position = lineEnd + 2;
+        if (buffer.length < position + length + 2) return null;
+        args.push(buffer.toString('utf8', position, position + length));
+        position += length + 2;
+    }
+    return { args, offset: position };
+}
+
+/**
+ * Turns a MATCH glob into a RegExp, only `*` and `?` are special
+ */
+function globToRegExp(glob) {
+    const source = glob
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Starts the stand-in on a free local port
+ * @param {Object} [options]
+ * @param {string} [options.password] - Commands other than AUTH are refused until it is sent.
+ * @param {number} [options.chunkSize] - Writes replies in chunks of this many bytes, to split them across reads.
+ * @returns {Promise<Object>} The server: url, data, commands, connections, failNext, dropConnections and close.
+ */
+export async function startFakeRedis({ password, chunkSize } = {}) {
+    const data = new Map(); // key -> { value, expiresAt }
+    const commands = [];
+    const failures = [];
+    const sockets = new Set();
+    let connections = 0;
+
+    const isLive = (key) => {
+        const entry = data.get(key);
+        if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+            data.delete(key);
+        }
+        return data.has(key);
+    };
+
+    const run = ([name, ...args], session) => {
+        const command = name.toUpperCase();
+        if (command === 'AUTH') {
+            session.authenticated = args[args.length - 1] === password;
+            return session.authenticated
+                ? OK
+                : new Error('WRONGPASS invalid username-password pair');
+        }
+        if (password && !session.authenticated) {
+            return new Error('NOAUTH Authentication required.');
+        }
+        if (failures.length > 0) {
+            return new Error(failures.shift());
+        }
+
+        switch (command) {
+            case 'SELECT':
+                session.database = Number(args[0]);
+                return OK;
+            case 'GET':
+                return isLive(args[0]) ? data.get(args[0]).value : null;
+            case 'SET': {
+                const px = args.findIndex((arg) => arg.toUpperCase() === 'PX');
+                data.set(args[0], {
+                    value: args[1],
+                    expiresAt:
+                        px === -1 ? null : Date.now() + Number(args[px + 1])
+                });
+                return OK;
+            }
+            case 'DEL':
+                return args.filter((key) => isLive(key) && data.delete(key))
+                    .length;
+            case 'SCAN': {
+                const option = (flag, fallback) => {
+                    const index = args.findIndex(
+                        (arg) => arg.toUpperCase() === flag
+                    );
+                    return index === -1 ? fallback : args[index + 1];
+                };
+                const pattern = globToRegExp(option('MATCH', '*'));
+                const count = Number(option('COUNT', 10));
+                const keys = [...data.keys()].filter(isLive).sort();
+                const cursor = Number(args[0]);
+                const next = cursor + count < keys.length ? cursor + count : 0;
+                return [
+                    String(next),
+                    keys
+                        .slice(cursor, cursor + count)
+                        .filter((key) => pattern.test(key))
+                ];
+            }
+            default:
+                return new Error(`ERR unknown command '${name}'`);
+        }
+    };
+
+    const server = net.createServer((socket) => {
+        connections++;
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+        socket.on('error', () => {});
+
+        const session = { authenticated: false, database: 0 };
+        let buffer = Buffer.alloc(0);
+        let writing = Promise.resolve();
+        socket.on('data', (chunk) => {
+            buffer = Buffer.concat([buffer, chunk]);
+            let command;
+            while ((command = parseCommand(buffer, 0))) {
+                buffer = buffer.subarray(command.offset);
+                commands.push(command.args);
+
+                const reply = Buffer.from(
+                    encodeReply(run(command.args, session))
+                );
+                const size = chunkSize || reply.length;
+                // Chunks go out one event loop turn apart, in the order of the commands
+                writing = writing.then(async () => {
+                    for (let i = 0; i < reply.length; i += size) {
+                        socket.write(reply.subarray(i, i + size));
+                        if (chunkSize) await new Promise(setImmediate);
+                    }
+                });
+            }
+        });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    const dropConnections = () => sockets.forEach((socket) => socket.destroy());
+
+    return {
+        url: `redis://127.0.0.1:${server.address().port}`,
+        data,
+        commands,
+        get connections() {
+            return connections;
+        },
+        /** Answers the next command with an error reply */
+        failNext(message) {
+            failures.push(message);
+        },
+        dropConnections,
+        close() {
+            dropConnections();
+            return new Promise((resolve) => server.close(resolve));
+        }
+    };
+}
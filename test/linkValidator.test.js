@@ -0,0 +1,60 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { checkLink } from '../src/utils/linkValidator.js';
+import { SSRF_CONFIG } from '../src/utils/ssrfGuard.js';
+
+describe('checkLink', () => {
+    let server;
+    let origin;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            if (req.url === '/live.m3u8') {
+                res.end('#EXTM3U\n#EXT-X-VERSION:3\n');
+            } else if (req.url === '/html.m3u8') {
+                res.end('<html>Not here</html>');
+            } else {
+                res.writeHead(404).end();
+            }
+        });
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+        origin = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => server.close());
+
+    test('drops links to internal addresses without connecting', async () => {
+        assert.equal(
+            await checkLink({ file: `${origin}/live.m3u8`, type: 'hls' }),
+            false
+        );
+        assert.equal(
+            await checkLink({
+                file: 'http://169.254.169.254/latest/meta-data',
+                type: 'mp4'
+            }),
+            false
+        );
+    });
+
+    test('keeps playlists and drops error pages on trusted hosts', async () => {
+        SSRF_CONFIG.trustedHosts.push('127.0.0.1');
+        try {
+            assert.equal(
+                await checkLink({ file: `${origin}/live.m3u8`, type: 'hls' }),
+                true
+            );
+            assert.equal(
+                await checkLink({ file: `${origin}/html.m3u8`, type: 'hls' }),
+                false
+            );
+            assert.equal(
+                await checkLink({ file: `${origin}/gone.mp4`, type: 'mp4' }),
+                false
+            );
+        } finally {
+            SSRF_CONFIG.trustedHosts.pop();
+        }
+    });
+});
@@ -0,0 +1,56 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryAdapter } from '../src/cache/adapters/memoryAdapter.js';
+
+describe('memory cache adapter', () => {
+    test('refuses new keys once full', async () => {
+        const store = createMemoryAdapter({ maxKeys: 2 });
+        try {
+            assert.equal(await store.set('a', 1, 60), true);
+            assert.equal(await store.set('b', 2, 60), true);
+            assert.equal(await store.set('c', 3, 60), false);
+            assert.deepEqual((await store.keys()).sort(), ['a', 'b']);
+        } finally {
+            await store.close();
+        }
+    });
+
+    test('evicts the least recently used keys when asked to', async () => {
+        const store = createMemoryAdapter({ maxKeys: 3, evict: true });
+        try {
+            await store.set('a', 1, 60);
+            await store.set('b', 2, 60);
+            await store.set('c', 3, 60);
+            await store.get('a');
+
+            assert.equal(await store.set('d', 4, 60), true);
+            assert.deepEqual((await store.keys()).sort(), ['a', 'c', 'd']);
+
+            // Updating a key while full keeps it and counts as a use
+            assert.equal(await store.set('c', 30, 60), true);
+            assert.equal(await store.get('c'), 30);
+            assert.equal(await store.set('e', 5, 60), true);
+            assert.deepEqual((await store.keys()).sort(), ['c', 'd', 'e']);
+        } finally {
+            await store.close();
+        }
+    });
+
+    test('forgets deleted and flushed keys when evicting', async () => {
+        const store = createMemoryAdapter({ maxKeys: 2, evict: true });
+        try {
+            await store.set('a', 1, 60);
+            await store.set('b', 2, 60);
+            await store.del('a');
+            assert.equal(await store.set('c', 3, 60), true);
+            assert.deepEqual((await store.keys()).sort(), ['b', 'c']);
+
+            await store.flush();
+            await store.set('d', 4, 60);
+            await store.set('e', 5, 60);
+            assert.deepEqual((await store.keys()).sort(), ['d', 'e']);
+        } finally {
+            await store.close();
+        }
+    });
+});
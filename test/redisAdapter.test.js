@@ -0,0 +1,177 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { setTimeout as sleep } from 'timers/promises';
+import { createRedisAdapter } from '../src/cache/adapters/redisAdapter.js';
+import { startFakeRedis } from './helpers/fakeRedis.js';
+
+/**
+ * Gets a local port nothing listens on
+ */
+async function getClosedPort() {
+    const server = net.createServer();
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    await new Promise((resolve) => server.close(resolve));
+    return port;
+}
+
+describe('redis cache adapter', () => {
+    let redis;
+    before(async () => {
+        redis = await startFakeRedis();
+    });
+    after(() => redis.close());
+
+    test('stores values under the namespace prefix and reads them back', async () => {
+        const store = createRedisAdapter('scrape', { url: redis.url });
+        const value = { files: [{ file: 'https://cdn.example/a.m3u8' }], n: 1 };
+
+        assert.equal(await store.set('movie:550', value, 60), true);
+        assert.deepEqual(await store.get('movie:550'), value);
+        assert.ok(redis.data.has('cinepro:scrape:movie:550'));
+        assert.equal(await store.get('movie:551'), undefined);
+    });
+
+    test('sends the TTL in milliseconds and lets entries expire', async () => {
+        const store = createRedisAdapter('ttl', { url: redis.url });
+
+        await store.set('short', 'value', 0.05);
+        assert.deepEqual(redis.commands.at(-1).slice(3), ['PX', '50']);
+        assert.equal(await store.get('short'), 'value');
+
+        await sleep(80);
+        assert.equal(await store.get('short'), undefined);
+    });
+
+    test('round-trips Buffers', async () => {
+        const store = createRedisAdapter('segments', { url: redis.url });
+        const segment = Buffer.from([0, 1, 2, 250, 255]);
+
+        await store.set('seg', { data: segment }, 60);
+        const cached = await store.get('seg');
+        assert.ok(Buffer.isBuffer(cached.data));
+        assert.deepEqual(cached.data, segment);
+    });
+
+    test('deletes one key or a list of keys', async () => {
+        const store = createRedisAdapter('del', { url: redis.url });
+        await store.set('a', 1, 60);
+        await store.set('b', 2, 60);
+        await store.set('c', 3, 60);
+
+        assert.equal(await store.del('a'), 1);
+        assert.equal(await store.del(['b', 'c', 'missing']), 2);
+        assert.equal(await store.get('b'), undefined);
+
+        const sent = redis.commands.length;
+        assert.equal(await store.del([]), 0);
+        assert.equal(redis.commands.length, sent);
+    });
+
+    test('lists only its own keys, across several SCAN pages', async () => {
+        const store = createRedisAdapter('listing', { url: redis.url });
+        const other = createRedisAdapter('listing-other', { url: redis.url });
+        const expected = [];
+        for (let i = 0; i < 450; i++) {
+            expected.push(`key:${i}`);
+            await store.set(`key:${i}`, i, 60);
+        }
+        await other.set('key:0', 'other', 60);
+
+        const scans = redis.commands.length;
+        const keys = await store.keys();
+        assert.deepEqual(keys.sort(), expected.sort());
+        assert.ok(
+            redis.commands.slice(scans).filter(([name]) => name === 'SCAN')
+                .length > 1
+        );
+    });
+
+    test('flush removes its own keys and leaves other namespaces alone', async () => {
+        const store = createRedisAdapter('flush', { url: redis.url });
+        const other = createRedisAdapter('flush-other', { url: redis.url });
+        await store.set('a', 1, 60);
+        await store.set('b', 2, 60);
+        await other.set('a', 'kept', 60);
+
+        await store.flush();
+        assert.deepEqual(await store.keys(), []);
+        assert.equal(await other.get('a'), 'kept');
+    });
+
+    test('an error reply fails that command only', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        const store = createRedisAdapter('errors', { url: redis.url });
+        await store.set('a', 'value', 60);
+
+        redis.failNext('ERR something went wrong');
+        assert.equal(await store.get('a'), undefined);
+        redis.failNext('OOM command not allowed');
+        assert.equal(await store.set('b', 'value', 60), false);
+        redis.failNext('ERR something went wrong');
+        assert.deepEqual(await store.keys(), []);
+
+        // The replies after an error still line up with their commands
+        assert.equal(await store.get('a'), 'value');
+        assert.equal(await store.get('b'), undefined);
+    });
+
+    test('reconnects after the connection drops', async () => {
+        const store = createRedisAdapter('reconnect', { url: redis.url });
+        await store.set('a', 'value', 60);
+        const connections = redis.connections;
+
+        redis.dropConnections();
+        await sleep(20);
+
+        assert.equal(await store.get('a'), 'value');
+        assert.equal(redis.connections, connections + 1);
+    });
+});
+
+describe('redis cache adapter on other servers', () => {
+    test('parses replies that arrive split across reads', async () => {
+        const redis = await startFakeRedis({ chunkSize: 3 });
+        try {
+            const store = createRedisAdapter('split', { url: redis.url });
+            const value = { text: 'x'.repeat(5000), list: [1, 2, 3] };
+
+            await store.set('a', value, 60);
+            await store.set('b', 'second', 60);
+            assert.deepEqual(await store.get('a'), value);
+            assert.deepEqual((await store.keys()).sort(), ['a', 'b']);
+        } finally {
+            await redis.close();
+        }
+    });
+
+    test('authenticates and selects the database from the URL', async () => {
+        const redis = await startFakeRedis({ password: 's3cret' });
+        try {
+            const url = redis.url.replace('//', '//:s3cret@') + '/2';
+            const store = createRedisAdapter('auth', { url });
+
+            assert.equal(await store.set('a', 1, 60), true);
+            assert.equal(await store.get('a'), 1);
+            assert.deepEqual(redis.commands[0], ['AUTH', 's3cret']);
+            assert.deepEqual(redis.commands[1], ['SELECT', '2']);
+        } finally {
+            await redis.close();
+        }
+    });
+
+    test('misses and drops writes while Redis is unreachable', async (t) => {
+        const log = t.mock.method(console, 'error', () => {});
+        const url = `redis://127.0.0.1:${await getClosedPort()}`;
+        const store = createRedisAdapter('down', { url });
+
+        assert.equal(await store.get('a'), undefined);
+        assert.equal(await store.set('a', 1, 60), false);
+        assert.equal(await store.del(['a']), 0);
+        assert.deepEqual(await store.keys(), []);
+        await store.flush();
+        // Logged once, not once per command
+        assert.ok(log.mock.callCount() <= 1);
+    });
+});
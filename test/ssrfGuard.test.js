@@ -0,0 +1,111 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import {
+    isPrivateAddress,
+    safeFetch,
+    SSRF_CONFIG
+} from '../src/utils/ssrfGuard.js';
+
+describe('isPrivateAddress', () => {
+    test('blocks private, reserved and documentation addresses', () => {
+        for (const address of [
+            '10.1.2.3',
+            '127.0.0.1',
+            '169.254.169.254',
+            '192.0.2.10',
+            '198.51.100.7',
+            '203.0.113.200',
+            '::1',
+            '100::1',
+            'fc00::1',
+            'fe80::1%eth0',
+            'fec0::1'
+        ]) {
+            assert.equal(isPrivateAddress(address), true, address);
+        }
+    });
+
+    test('judges IPv6 addresses by the IPv4 address they carry', () => {
+        for (const address of [
+            '::ffff:127.0.0.1',
+            '::10.0.0.1',
+            '64:ff9b::a9fe:a9fe',
+            '2002:c0a8:0101::1'
+        ]) {
+            assert.equal(isPrivateAddress(address), true, address);
+        }
+        assert.equal(isPrivateAddress('64:ff9b::808:808'), false);
+        assert.equal(isPrivateAddress('2002:0808:0808::1'), false);
+    });
+
+    test('lets public addresses through', () => {
+        for (const address of ['8.8.8.8', '1.1.1.1', '2606:4700::1111']) {
+            assert.equal(isPrivateAddress(address), false, address);
+        }
+    });
+});
+
+describe('safeFetch redirects', () => {
+    const received = {};
+    const servers = [];
+    let origin;
+    let otherOrigin;
+
+    const listen = (handler) =>
+        new Promise((resolve) => {
+            const server = http.createServer(handler).listen(0, '127.0.0.1');
+            servers.push(server);
+            server.on('listening', () =>
+                resolve(`http://127.0.0.1:${server.address().port}`)
+            );
+        });
+
+    before(async () => {
+        SSRF_CONFIG.trustedHosts.push('127.0.0.1');
+        otherOrigin = await listen((req, res) => {
+            received.other = req.headers;
+            res.end('other');
+        });
+        origin = await listen((req, res) => {
+            received[req.url] = req.headers;
+            if (req.url === '/cross') {
+                res.writeHead(302, { Location: `${otherOrigin}/target` });
+            } else if (req.url === '/same') {
+                res.writeHead(302, { Location: '/target' });
+            }
+            res.end('same');
+        });
+    });
+
+    after(() => {
+        SSRF_CONFIG.trustedHosts.pop();
+        servers.forEach((server) => server.close());
+    });
+
+    const headers = {
+        Authorization: 'Bearer secret',
+        Cookie: 'session=1',
+        Origin: 'https://example.com',
+        Referer: 'https://example.com/',
+        'User-Agent': 'cinepro-test'
+    };
+
+    test('keeps the headers on a redirect within the same origin', async () => {
+        const response = await safeFetch(`${origin}/same`, { headers });
+        assert.equal(await response.text(), 'same');
+        assert.equal(received['/target'].authorization, 'Bearer secret');
+        assert.equal(received['/target'].cookie, 'session=1');
+        assert.equal(received['/target'].referer, 'https://example.com/');
+    });
+
+    test('drops credentials, Origin and Referer on a redirect to another origin', async () => {
+        const response = await safeFetch(`${origin}/cross`, { headers });
+        assert.equal(await response.text(), 'other');
+        assert.equal(received.other.authorization, undefined);
+        assert.equal(received.other.cookie, undefined);
+        assert.equal(received.other.origin, undefined);
+        assert.equal(received.other.referer, undefined);
+        assert.equal(received.other['user-agent'], 'cinepro-test');
+    });
+});